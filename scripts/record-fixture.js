@@ -0,0 +1,58 @@
+// Capture FlixPatrol pages as parser regression fixtures.
+//
+//   npm run record-fixture -- <countryCode> [name]   fetch the live page, save <name>.html and its parse as <name>.json
+//   npm run record-fixture -- --update [name]         re-parse saved HTML after an intentional parser change
+//
+// Review the generated JSON before committing: it becomes the expected output for `npm test`.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const { FIXTURE_DIR, listFixtures, writeExpected } = require('../test/helpers/fixtures');
+
+const record = async (countryCode, name) => {
+  const country = scraperService.resolveCountry(countryCode);
+  const fixtureName = name || `${country.code.toLowerCase()}-${new Date().toISOString().slice(0, 10)}`;
+
+  console.log(`📥 Fetching ${country.url}`);
+  const html = await scraperService.fetchPage(country.url);
+
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${fixtureName}.html`), html);
+  const expected = writeExpected(fixtureName, { countryCode: country.code, type: 'both' }, html);
+
+  console.log(`💾 Saved ${fixtureName}.html and ${fixtureName}.json (${expected.items.length} items)`);
+};
+
+const update = (name) => {
+  const names = name ? [name] : listFixtures();
+
+  for (const fixtureName of names) {
+    const jsonPath = path.join(FIXTURE_DIR, `${fixtureName}.json`);
+    const { countryCode, type } = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, `${fixtureName}.html`), 'utf8');
+
+    const expected = writeExpected(fixtureName, { countryCode, type }, html);
+    console.log(`🔄 Updated ${fixtureName}.json (${expected.items.length} items)`);
+  }
+};
+
+const main = async () => {
+  const [first, second] = process.argv.slice(2);
+
+  if (!first) {
+    console.error('Usage: record-fixture <countryCode> [name] | record-fixture --update [name]');
+    process.exit(1);
+  }
+
+  if (first === '--update') {
+    update(second);
+  } else {
+    await record(first, second);
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Recording fixture failed:', error.message);
+  process.exit(1);
+});
@@ -1,9 +1,15 @@
 require('dotenv').config();
 const app = require('./src/app');
+const schedulerService = require('./src/services/schedulerService');
 
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Scraping: ${process.env.TARGET_URL}`);
+
+  // Refresh rankings in the background so requests are served from a warm cache
+  if (schedulerService.isEnabled()) {
+    schedulerService.start();
+  }
 });
\ No newline at end of file
@@ -2,7 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const scraperRoutes = require('./routes/scraper');
+const graphqlRoutes = require('./routes/graphql');
 const errorHandler = require('./middleware/errorHandler');
+const schedulerService = require('./services/schedulerService');
 
 const app = express();
 
@@ -16,10 +18,15 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/scraper', scraperRoutes);
+app.use('/graphql', graphqlRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    scheduler: schedulerService.getStatus()
+  });
 });
 
 // Error handling middleware
@@ -0,0 +1,42 @@
+// ISO 3166-1 alpha-2 codes mapped to their FlixPatrol page slugs
+const COUNTRIES = {
+  PH: { name: 'Philippines', slug: 'philippines' },
+  ID: { name: 'Indonesia', slug: 'indonesia' },
+  MY: { name: 'Malaysia', slug: 'malaysia' },
+  SG: { name: 'Singapore', slug: 'singapore' },
+  TH: { name: 'Thailand', slug: 'thailand' },
+  VN: { name: 'Vietnam', slug: 'vietnam' },
+  TW: { name: 'Taiwan', slug: 'taiwan' },
+  HK: { name: 'Hong Kong', slug: 'hong-kong' },
+  JP: { name: 'Japan', slug: 'japan' },
+  KR: { name: 'South Korea', slug: 'south-korea' },
+  IN: { name: 'India', slug: 'india' },
+  AU: { name: 'Australia', slug: 'australia' },
+  NZ: { name: 'New Zealand', slug: 'new-zealand' },
+  US: { name: 'United States', slug: 'united-states' },
+  CA: { name: 'Canada', slug: 'canada' },
+  MX: { name: 'Mexico', slug: 'mexico' },
+  BR: { name: 'Brazil', slug: 'brazil' },
+  GB: { name: 'United Kingdom', slug: 'united-kingdom' },
+  DE: { name: 'Germany', slug: 'germany' },
+  FR: { name: 'France', slug: 'france' },
+  ES: { name: 'Spain', slug: 'spain' },
+  IT: { name: 'Italy', slug: 'italy' }
+};
+
+// Named country groups for aggregated rankings, e.g. ?region=SEA
+const REGIONS = {
+  SEA: ['PH', 'ID', 'MY', 'SG', 'TH', 'VN'],
+  EAST_ASIA: ['JP', 'KR', 'TW', 'HK'],
+  OCEANIA: ['AU', 'NZ'],
+  NORTH_AMERICA: ['US', 'CA', 'MX'],
+  EUROPE: ['GB', 'DE', 'FR', 'ES', 'IT']
+};
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'PH').toUpperCase();
+
+module.exports = {
+  COUNTRIES,
+  REGIONS,
+  DEFAULT_COUNTRY
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const defaults = require('./matchScoring.json');
+
+// TMDB candidate scoring weights. Built-in values live in matchScoring.json; MATCH_SCORING_FILE
+// points at a JSON file of the same shape whose sections are merged over them.
+//
+// "recency" is a list of tiers and the first one a release matches wins. A tier can set minYear,
+// maxYear, minAge and maxAge, where age is the current year minus the release year.
+// "countries" holds per-country sections that replace the matching "default" section.
+const loadScoringConfig = (file = process.env.MATCH_SCORING_FILE) => {
+  if (!file) return defaults;
+
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const countries = { ...defaults.countries };
+
+  for (const [code, rules] of Object.entries(custom.countries || {})) {
+    countries[code.toUpperCase()] = { ...countries[code.toUpperCase()], ...rules };
+  }
+
+  return {
+    default: { ...defaults.default, ...custom.default },
+    countries
+  };
+};
+
+// Default rules with the country's own sections on top
+const rulesForCountry = (config, countryCode) => ({
+  ...config.default,
+  ...(config.countries[String(countryCode || '').toUpperCase()] || {})
+});
+
+module.exports = {
+  loadScoringConfig,
+  rulesForCountry
+};
@@ -0,0 +1,58 @@
+const { COUNTRIES } = require('./countries');
+
+// FlixPatrol lays every platform's top 10 page out the same way: a header per section followed by a
+// table of title links. Platforms can override the selectors or sections if their page differs.
+const DEFAULT_SELECTORS = {
+  sectionHeader: 'h3.table-th',
+  titleLink: 'td.table-td a[href*="/title/"]'
+};
+
+const SECTIONS = {
+  tv: { label: 'TV Shows', category: 'TV Show' },
+  movies: { label: 'Movies', category: 'Movie' }
+};
+
+const ALL_COUNTRIES = Object.keys(COUNTRIES);
+
+// Platform IDs (used in routes and cache keys) mapped to their FlixPatrol page slug and the
+// countries where FlixPatrol publishes a list for them
+const PLATFORMS = {
+  netflix: {
+    name: 'Netflix',
+    slug: 'netflix',
+    countries: ALL_COUNTRIES
+  },
+  disney: {
+    name: 'Disney+',
+    slug: 'disney',
+    countries: ALL_COUNTRIES.filter(code => code !== 'VN')
+  },
+  'prime-video': {
+    name: 'Prime Video',
+    slug: 'amazon-prime',
+    countries: ALL_COUNTRIES
+  },
+  'hbo-max': {
+    name: 'HBO Max',
+    slug: 'hbo-max',
+    countries: ['PH', 'ID', 'MY', 'SG', 'TH', 'TW', 'HK', 'AU', 'US', 'MX', 'BR', 'GB', 'DE', 'FR', 'ES', 'IT']
+  },
+  'apple-tv': {
+    name: 'Apple TV+',
+    slug: 'apple-tv',
+    countries: ALL_COUNTRIES
+  }
+};
+
+for (const [id, platform] of Object.entries(PLATFORMS)) {
+  platform.id = id;
+  platform.sections = platform.sections || SECTIONS;
+  platform.selectors = { ...DEFAULT_SELECTORS, ...platform.selectors };
+}
+
+const DEFAULT_PLATFORM = 'netflix';
+
+module.exports = {
+  PLATFORMS,
+  DEFAULT_PLATFORM
+};
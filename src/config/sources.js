@@ -0,0 +1,16 @@
+// Where rankings come from (used in the ?source= query param and cache keys). `platforms`
+// limits a source to the platforms it has data for; null means every platform.
+const SOURCES = {
+  flixpatrol: {
+    name: 'FlixPatrol',
+    platforms: null
+  },
+  'netflix-official': {
+    name: 'Netflix Top 10 (official weekly file)',
+    platforms: ['netflix']
+  }
+};
+
+const DEFAULT_SOURCE = 'flixpatrol';
+
+module.exports = { SOURCES, DEFAULT_SOURCE };
@@ -0,0 +1,138 @@
+const scraperService = require('../services/scraperService');
+const aggregationService = require('../services/aggregationService');
+const scraperController = require('./scraperController');
+const { REGIONS } = require('../config/countries');
+const { DEFAULT_PLATFORM } = require('../config/platforms');
+const { ValidationError } = require('../utils/errors');
+const { mapWithConcurrency } = require('../utils/workerPool');
+const { hashContent, setCacheHeaders } = require('../utils/httpCache');
+
+// Aggregate type -> the cached single-country ranking it is built from
+const RANKINGS = {
+  tv: { route: 'tv', type: 'tv' },
+  movies: { route: 'movies', type: 'movies' },
+  both: { route: 'top10', type: 'both' }
+};
+const MAX_LIMIT = 50;
+// Countries are loaded a couple at a time so a cold cache doesn't fire every scrape at once
+const COUNTRY_CONCURRENCY = 2;
+
+class AggregateController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.getAggregate = this.getAggregate.bind(this);
+  }
+
+  // ?region=SEA or ?countries=PH,ID,MY (not both). Region countries without a list on the platform are skipped.
+  parseCountries(query, platform) {
+    if (query.region && query.countries) {
+      throw new ValidationError('Use either region or countries, not both');
+    }
+
+    if (query.region) {
+      const countries = REGIONS[String(query.region).toUpperCase()];
+      if (!countries) {
+        throw new ValidationError(`Unknown region: ${query.region}. Use one of: ${Object.keys(REGIONS).join(', ')}`);
+      }
+      const supported = countries.filter(code => platform.countries.includes(code));
+      if (supported.length === 0) {
+        throw new ValidationError(`${platform.name} has no top 10 for any country in ${query.region}`);
+      }
+      return supported;
+    }
+
+    const codes = String(query.countries || '').split(',').map(code => code.trim()).filter(Boolean);
+    if (codes.length < 2) {
+      throw new ValidationError('Pass at least two comma-separated countries, or a region');
+    }
+    return [...new Set(codes.map(code => scraperService.resolveCountry(code, platform.id).code))];
+  }
+
+  parseOptions(query) {
+    const type = query.type || 'tv';
+    if (!RANKINGS[type]) {
+      throw new ValidationError(`Invalid type: ${type}. Use one of: ${Object.keys(RANKINGS).join(', ')}`);
+    }
+
+    const formula = query.formula || aggregationService.defaultFormula;
+    if (!aggregationService.formulas.includes(formula)) {
+      throw new ValidationError(`Invalid formula: ${formula}. Use one of: ${aggregationService.formulas.join(', ')}`);
+    }
+
+    const limit = query.limit === undefined ? 10 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`Invalid limit: ${query.limit}. Use 1-${MAX_LIMIT}`);
+    }
+
+    return { type, formula, limit, enriched: query.tmdb !== 'false' };
+  }
+
+  // GET /netflix/aggregate?region=|countries=&type=&formula=&limit=&platform=&source= - one ranking merged across countries
+  getAggregate = async (req, res, next) => {
+    try {
+      const startedAt = Date.now();
+      const platform = scraperService.resolvePlatform(req.query.platform || DEFAULT_PLATFORM);
+      const countries = this.parseCountries(req.query, platform);
+      const source = scraperController.getSource(req, platform.id);
+      const { type, formula, limit, enriched } = this.parseOptions(req.query);
+      const ranking = RANKINGS[type];
+
+      // One country failing shouldn't sink the whole view; report it alongside the result
+      const loaded = await mapWithConcurrency(countries, COUNTRY_CONCURRENCY, async (country) => {
+        try {
+          const { result } = await scraperController.loadRanking({ platform: platform.id, ...ranking, country, enriched, source });
+          return { countryCode: country, result };
+        } catch (error) {
+          console.error(`❌ Aggregate skipped ${country}:`, error.message);
+          return { countryCode: country, error };
+        }
+      });
+
+      const loadedRankings = loaded.filter(entry => entry.result).map(entry => entry.result);
+      const failed = loaded.filter(entry => entry.error);
+      if (loadedRankings.length === 0) {
+        throw failed[0].error;
+      }
+
+      // formula=points needs FlixPatrol's points; countries without them are left out and reported
+      const rankings = loadedRankings.filter(result => aggregationService.canScore(result, formula));
+      const skippedCountries = loadedRankings
+        .filter(result => !rankings.includes(result))
+        .map(result => ({ countryCode: result.countryCode, reason: `No FlixPatrol points to score with formula=${formula}` }));
+      if (rankings.length === 0) {
+        throw new ValidationError(`None of ${skippedCountries.map(entry => entry.countryCode).join(', ')} have FlixPatrol points; use formula=borda`);
+      }
+
+      const data = aggregationService.aggregate(rankings, { formula, limit });
+      const failedCountries = failed.map(entry => ({ countryCode: entry.countryCode, error: entry.error.message }));
+
+      // Changes whenever a country's ranking (or the set of failed or skipped countries) does
+      const notModified = setCacheHeaders(req, res, {
+        etag: hashContent({ data, failedCountries, skippedCountries }),
+        lastModified: rankings.map(result => result.lastModified || result.scrapedAt).sort().at(-1)
+      });
+      if (notModified) {
+        return res.status(304).end();
+      }
+
+      res.json({
+        success: true,
+        platform: platform.id,
+        source,
+        type,
+        formula,
+        countries: rankings.map(result => result.countryCode),
+        failedCountries,
+        skippedCountries,
+        scrapedAt: Object.fromEntries(rankings.map(result => [result.countryCode, result.scrapedAt])),
+        data,
+        responseTimeMs: Date.now() - startedAt,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AggregateController();
@@ -0,0 +1,118 @@
+const { parse, validate, execute, specifiedRules } = require('graphql');
+const schema = require('../graphql/schema');
+const { rootValue, createContext } = require('../graphql/resolvers');
+const { queryLimits } = require('../graphql/queryLimits');
+const { hashContent, setCacheHeaders } = require('../utils/httpCache');
+
+// Error class name -> extensions.code in GraphQL error responses
+const ERROR_CODES = {
+  ValidationError: 'BAD_USER_INPUT',
+  NotFoundError: 'NOT_FOUND',
+  ServiceUnavailableError: 'SERVICE_UNAVAILABLE',
+  UpstreamError: 'UPSTREAM_ERROR',
+  ParseDegradedError: 'PARSE_DEGRADED'
+};
+
+class GraphqlController {
+  constructor() {
+    this.maxDepth = parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8;
+    this.maxFields = parseInt(process.env.GRAPHQL_MAX_FIELDS) || 200;
+    this.maxUncachedRankings = parseInt(process.env.GRAPHQL_MAX_UNCACHED_RANKINGS) || 4;
+
+    // Bind methods to preserve 'this' context
+    this.executeQuery = this.executeQuery.bind(this);
+  }
+
+  // Resolver errors keep their message when they are one of ours; anything else is masked in
+  // production like the REST error handler does
+  formatError(error) {
+    const original = error.originalError;
+    const code = original ? ERROR_CODES[original.name] || 'INTERNAL_SERVER_ERROR' : 'GRAPHQL_VALIDATION_FAILED';
+    const masked = code === 'INTERNAL_SERVER_ERROR' && process.env.NODE_ENV === 'production';
+
+    if (code === 'INTERNAL_SERVER_ERROR') {
+      console.error('❌ GraphQL resolver failed:', original.message);
+    }
+
+    return {
+      message: masked ? 'Something went wrong' : error.message,
+      ...(error.locations ? { locations: error.locations } : {}),
+      ...(error.path ? { path: error.path } : {}),
+      extensions: { code }
+    };
+  }
+
+  // GET takes query, variables (JSON) and operationName from the query string; POST from a JSON body
+  readRequest(req) {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    let variables = params.variables || null;
+
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        return { error: 'variables must be a JSON object' };
+      }
+    }
+    if (typeof params.query !== 'string' || params.query.trim() === '') {
+      return { error: 'Missing GraphQL query' };
+    }
+
+    return { query: params.query, variables, operationName: params.operationName || null };
+  }
+
+  // GET/POST /graphql - rankings, countries, titles and history. Syntax, validation and variable
+  // errors answer 400; resolver errors come back with status 200 next to the data that did resolve.
+  // GET responses carry an ETag of the result, so unchanged results can be revalidated with a 304.
+  executeQuery = async (req, res, next) => {
+    try {
+      const request = this.readRequest(req);
+      if (request.error) {
+        return res.status(400).json({ errors: [{ message: request.error, extensions: { code: 'BAD_REQUEST' } }] });
+      }
+
+      let document;
+      try {
+        document = parse(request.query);
+      } catch (error) {
+        return res.status(400).json({ errors: [{ ...this.formatError(error), extensions: { code: 'GRAPHQL_PARSE_FAILED' } }] });
+      }
+
+      const validationErrors = validate(schema, document, [
+        ...specifiedRules,
+        queryLimits({ maxDepth: this.maxDepth, maxFields: this.maxFields })
+      ]);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ errors: validationErrors.map(error => this.formatError(error)) });
+      }
+
+      const result = await execute({
+        schema,
+        document,
+        rootValue,
+        contextValue: createContext({ maxUncachedRankings: this.maxUncachedRankings }),
+        variableValues: request.variables,
+        operationName: request.operationName
+      });
+
+      const body = result.errors
+        ? { errors: result.errors.map(error => this.formatError(error)), data: result.data }
+        : { data: result.data };
+
+      // Without data the request never ran, e.g. variables of the wrong type
+      if (result.data === undefined) {
+        return res.status(400).json(body);
+      }
+
+      if (req.method === 'GET' && setCacheHeaders(req, res, { etag: hashContent(body) })) {
+        return res.status(304).end();
+      }
+
+      res.json(body);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new GraphqlController();
@@ -0,0 +1,110 @@
+const historyService = require('../services/historyService');
+const scraperService = require('../services/scraperService');
+const { DEFAULT_COUNTRY } = require('../config/countries');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { hashContent, setCacheHeaders } = require('../utils/httpCache');
+
+const HISTORY_TYPES = ['tv', 'movies', 'both'];
+
+class HistoryController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.getRankingHistory = this.getRankingHistory.bind(this);
+    this.getTitleHistory = this.getTitleHistory.bind(this);
+  }
+
+  parseType(type, fallback) {
+    if (!type) return fallback;
+    if (!HISTORY_TYPES.includes(type)) {
+      throw new ValidationError(`Invalid type: ${type}. Use one of: ${HISTORY_TYPES.join(', ')}`);
+    }
+    return type;
+  }
+
+  parseDate(date) {
+    if (!date) return null;
+    if (!historyService.isDateKey(date)) {
+      throw new ValidationError(`Invalid date: ${date}. Use YYYY-MM-DD`);
+    }
+    return date;
+  }
+
+  // GET /netflix/history?date=&country=&type= - the stored ranking for a day (latest day if no date)
+  getRankingHistory = async (req, res, next) => {
+    try {
+      const countryCode = scraperService.resolveCountry(req.query.country || DEFAULT_COUNTRY).code;
+      const type = this.parseType(req.query.type, 'both');
+      const date = this.parseDate(req.query.date);
+      const types = type === 'both' ? ['tv', 'movies'] : [type];
+
+      const snapshots = [];
+      for (const snapshotType of types) {
+        const snapshot = date
+          ? await historyService.getSnapshot(countryCode, snapshotType, date)
+          : await historyService.getLatestSnapshot(countryCode, snapshotType);
+        if (snapshot) snapshots.push(snapshot);
+      }
+
+      if (snapshots.length === 0) {
+        throw new NotFoundError(`No ${type} history for ${countryCode}${date ? ` on ${date}` : ''}`);
+      }
+
+      const notModified = setCacheHeaders(req, res, {
+        etag: hashContent(snapshots),
+        lastModified: snapshots.map(snapshot => snapshot.scrapedAt).sort().at(-1)
+      });
+      if (notModified) {
+        return res.status(304).end();
+      }
+
+      res.json({
+        success: true,
+        countryCode,
+        type,
+        date: date || snapshots[0].date,
+        snapshots,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /netflix/title/:titleId/history?country=&type= - every day a title spent in the Top 10.
+  // titleId is a TMDB ID or a FlixPatrol slug.
+  getTitleHistory = async (req, res, next) => {
+    try {
+      const { titleId } = req.params;
+      if (!/^\d+$/.test(titleId) && !/^[a-z0-9][a-z0-9-]*$/i.test(titleId)) {
+        throw new ValidationError(`Invalid title ID: ${titleId}. Use a TMDB ID or a FlixPatrol slug`);
+      }
+
+      const countryCode = req.query.country ? scraperService.resolveCountry(req.query.country).code : null;
+      const type = this.parseType(req.query.type, null);
+
+      const history = await historyService.getTitleHistory(titleId, {
+        countryCode,
+        type: type === 'both' ? null : type
+      });
+
+      if (history.appearances.length === 0) {
+        throw new NotFoundError(`No Top 10 history for ${/^\d+$/.test(titleId) ? 'TMDB ID' : 'FlixPatrol slug'} ${titleId}`);
+      }
+
+      const notModified = setCacheHeaders(req, res, { etag: hashContent(history) });
+      if (notModified) {
+        return res.status(304).end();
+      }
+
+      res.json({
+        success: true,
+        ...history,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new HistoryController();
@@ -0,0 +1,156 @@
+const matchService = require('../services/matchService');
+const scraperService = require('../services/scraperService');
+const cacheService = require('../services/cacheService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { parseSeasonInfo } = require('../utils/seasonParser');
+
+const MEDIA_TYPES = ['tv', 'movie'];
+
+class MatchController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.listMatches = this.listMatches.bind(this);
+    this.getMatch = this.getMatch.bind(this);
+    this.setMatch = this.setMatch.bind(this);
+    this.deleteMatch = this.deleteMatch.bind(this);
+  }
+
+  parseMediaType(mediaType) {
+    if (!MEDIA_TYPES.includes(mediaType)) {
+      throw new ValidationError(`Invalid media type: ${mediaType}. Use one of: ${MEDIA_TYPES.join(', ')}`);
+    }
+    return mediaType;
+  }
+
+  // :country/:mediaType/:title identify one stored match; the title is URL-encoded. Shows are
+  // matched by series title, so "Squid Game: Season 2" and "Squid Game" name the same match.
+  parseParams(req) {
+    const mediaType = this.parseMediaType(req.params.mediaType);
+    return {
+      title: mediaType === 'tv' ? parseSeasonInfo(req.params.title).seriesTitle : req.params.title,
+      countryCode: scraperService.resolveCountry(req.params.country).code,
+      mediaType
+    };
+  }
+
+  // Look the pinned ID up on TMDB so the override carries the same fields as a search result
+  async buildPinnedMatch(tmdbId, mediaType) {
+    const match = {
+      tmdb_id: tmdbId,
+      tmdb_title: null,
+      tmdb_release_date: null,
+      tmdb_media_type: mediaType
+    };
+
+    if (!scraperService.tmdbClient.isConfigured()) {
+      return match;
+    }
+
+    try {
+      const details = await scraperService.tmdbClient.getDetails(mediaType, tmdbId);
+      match.tmdb_title = details.title || details.name || null;
+      match.tmdb_release_date = details.release_date || details.first_air_date || null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        throw new ValidationError(`TMDB ${mediaType} ${tmdbId} does not exist`);
+      }
+      throw error;
+    }
+
+    return match;
+  }
+
+  // Cached rankings still carry the old match; drop the ones it can appear in so the next
+  // request re-enriches them (scheduled countries are refreshed by their job)
+  async invalidateRankings(countryCode, mediaType) {
+    const keys = await cacheService.enrichedRankingKeys(countryCode, [mediaType === 'movie' ? 'movies' : 'tv', 'both']);
+    await Promise.all(keys.map(key => cacheService.delete(key)));
+
+    if (keys.length > 0) {
+      console.log(`🗑️ Cleared ${keys.length} cached ${countryCode} ranking(s) after a match change`);
+    }
+    return keys;
+  }
+
+  // GET /admin/matches?country=&mediaType=&status=
+  listMatches = async (req, res, next) => {
+    try {
+      const { country, mediaType, status } = req.query;
+      const matches = await matchService.list({
+        countryCode: country ? scraperService.resolveCountry(country).code : null,
+        mediaType: mediaType ? this.parseMediaType(mediaType) : null,
+        status: status || null
+      });
+
+      res.json({
+        count: matches.length,
+        matches,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /admin/matches/:country/:mediaType/:title
+  getMatch = async (req, res, next) => {
+    try {
+      const { title, countryCode, mediaType } = this.parseParams(req);
+      const match = await matchService.get(title, countryCode, mediaType);
+
+      if (!match) {
+        throw new NotFoundError(`No stored match for "${title}" (${countryCode}, ${mediaType})`);
+      }
+
+      res.json(match);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // PUT /admin/matches/:country/:mediaType/:title with { tmdbId } to pin, or { noMatch: true }
+  setMatch = async (req, res, next) => {
+    try {
+      const { title, countryCode, mediaType } = this.parseParams(req);
+      const { tmdbId, noMatch } = req.body || {};
+
+      let match;
+      if (noMatch === true) {
+        match = await matchService.markNoMatch(title, countryCode, mediaType);
+      } else if (/^\d+$/.test(String(tmdbId))) {
+        const pinned = await this.buildPinnedMatch(parseInt(tmdbId), mediaType);
+        match = await matchService.pin(title, countryCode, mediaType, pinned);
+      } else {
+        throw new ValidationError('Body must contain a numeric tmdbId, or noMatch: true');
+      }
+
+      await this.invalidateRankings(countryCode, mediaType);
+      console.log(`📌 Match override for "${title}" (${countryCode}, ${mediaType}): ${match.status}`);
+      res.json(match);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // DELETE /admin/matches/:country/:mediaType/:title - forget a match so the next scrape searches again
+  deleteMatch = async (req, res, next) => {
+    try {
+      const { title, countryCode, mediaType } = this.parseParams(req);
+      const deleted = await matchService.delete(title, countryCode, mediaType);
+
+      if (!deleted) {
+        throw new NotFoundError(`No stored match for "${title}" (${countryCode}, ${mediaType})`);
+      }
+
+      await this.invalidateRankings(countryCode, mediaType);
+      res.json({
+        message: `Match removed for "${title}" (${countryCode}, ${mediaType})`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new MatchController();
@@ -1,106 +1,238 @@
 const scraperService = require('../services/scraperService');
+const cacheService = require('../services/cacheService');
+const schedulerService = require('../services/schedulerService');
+const { DEFAULT_COUNTRY } = require('../config/countries');
+const { PLATFORMS, DEFAULT_PLATFORM } = require('../config/platforms');
+const { SOURCES, DEFAULT_SOURCE } = require('../config/sources');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+const { hashContent, setCacheHeaders } = require('../utils/httpCache');
+
+// :type segment of the platform routes -> cache route and scrape type
+const PLATFORM_RANKINGS = {
+  top10: { route: 'top10', type: 'both' },
+  tv: { route: 'tv', type: 'tv' },
+  movies: { route: 'movies', type: 'movies' }
+};
 
 class ScraperController {
   constructor() {
-    // In-memory cache as fallback if localStorage isn't available
-    this.memoryCache = new Map();
-    this.CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
-    
     // Bind methods to preserve 'this' context
     this.getNetflixTop10 = this.getNetflixTop10.bind(this);
     this.getNetflixTVShows = this.getNetflixTVShows.bind(this);
     this.getNetflixMovies = this.getNetflixMovies.bind(this);
     this.getHealth = this.getHealth.bind(this);
     this.clearCacheEndpoint = this.clearCacheEndpoint.bind(this);
+    this.listCacheEntries = this.listCacheEntries.bind(this);
+    this.getCacheEntry = this.getCacheEntry.bind(this);
+    this.deleteCacheEntry = this.deleteCacheEntry.bind(this);
+    this.refreshCacheEntry = this.refreshCacheEntry.bind(this);
+    this.getPlatformRanking = this.getPlatformRanking.bind(this);
+    this.listPlatforms = this.listPlatforms.bind(this);
   }
 
-  // Helper method to get cache (tries localStorage first, falls back to memory)
-  getFromCache(key) {
-    try {
-      // Try localStorage first (browser environment)
-      if (typeof localStorage !== 'undefined') {
-        const cached = localStorage.getItem(key);
-        if (cached) {
-          const data = JSON.parse(cached);
-          if (Date.now() < data.expiry) {
-            return data.value;
-          } else {
-            localStorage.removeItem(key);
-          }
-        }
+  // Country comes from the :country route param, defaulting for the legacy routes
+  getCountryCode(req) {
+    return (req.params.country || DEFAULT_COUNTRY).toUpperCase();
+  }
+
+  // Platform comes from the :platform route param; the /netflix/ routes don't have one
+  getPlatform(req) {
+    return scraperService.resolvePlatform(req.params.platform || DEFAULT_PLATFORM).id;
+  }
+
+  // ?source= picks where the ranking comes from (FlixPatrol by default)
+  getSource(req, platform) {
+    return scraperService.resolveSource(req.query.source || DEFAULT_SOURCE, platform).id;
+  }
+
+  // Serve a ranking for the request's platform and country. Cache keys cover platform, route,
+  // type, country, whether TMDB enrichment was applied and the source.
+  // Responses carry ETag, Last-Modified and Cache-Control; conditional requests get a 304.
+  async sendRanking(req, res, route, type) {
+    const startedAt = Date.now();
+    // Validate the platform, country and source before touching the cache
+    const platform = this.getPlatform(req);
+    const countryCode = scraperService.resolveCountry(this.getCountryCode(req), platform).code;
+    const source = this.getSource(req, platform);
+    const enrich = req.query.tmdb !== 'false';
+    const details = this.getDetailsMode(req, enrich);
+    const explain = this.getExplainMode(req, enrich);
+    const { result, cached, cachedAt, expiry } = await this.loadRanking({ platform, route, type, country: countryCode, enriched: enrich, source });
+
+    const notModified = setCacheHeaders(req, res, {
+      etag: this.rankingETag(result, details, explain),
+      lastModified: result.lastModified || result.scrapedAt,
+      maxAge: result.stale || !expiry ? 0 : (expiry - Date.now()) / 1000
+    });
+    if (notModified) {
+      return res.status(304).end();
+    }
+
+    const body = await this.withExplain(await this.withDetails(result, details), explain);
+
+    res.json(cached
+      ? { ...body, cached: true, cachedAt, cacheTimestamp: cachedAt, responseTimeMs: Date.now() - startedAt }
+      : { ...body, cached: false, cachedAt, timestamp: new Date().toISOString(), responseTimeMs: Date.now() - startedAt });
+  }
+
+  // Rankings cached before content hashes existed are hashed on the fly. Details and explanations
+  // are separate representations of the same ranking, so they get their own ETags.
+  rankingETag(result, details, explain) {
+    const hash = result.contentHash || hashContent(result.data);
+    return `${hash}${details === 'full' ? '-full' : ''}${explain ? '-explain' : ''}`;
+  }
+
+  // Read a ranking from the shared cache, scraping on a miss unless the scheduler owns it.
+  // Resolves with { result, cached, cachedAt, expiry }; `result.stale` is set when the last good
+  // copy was served instead (expiry is then null).
+  async loadRanking({ platform = DEFAULT_PLATFORM, route, type, country, enriched, source = DEFAULT_SOURCE }) {
+    const cacheKey = cacheService.buildKey({ platform, route, type, country, enriched, source });
+
+    // Check cache first
+    const cachedEntry = await cacheService.get(cacheKey);
+    if (cachedEntry) {
+      console.log(`Returning cached ${route} data for ${country}`);
+      return { result: cachedEntry.value, cached: true, cachedAt: cachedEntry.cachedAt, expiry: cachedEntry.expiry };
+    }
+
+    // Scheduled rankings are written by the scheduler. A miss means its first run hasn't finished, or
+    // the entry was evicted, so run the job now (or wait for the run in progress) and read again.
+    // If that run failed, fall back to the last good copy if there is one.
+    if (schedulerService.isScheduled({ platform, route, country, enriched, source })) {
+      await schedulerService.triggerJob(country);
+      const refreshedEntry = await cacheService.get(cacheKey);
+      if (refreshedEntry) {
+        return { result: refreshedEntry.value, cached: false, cachedAt: refreshedEntry.cachedAt, expiry: refreshedEntry.expiry };
       }
-    } catch (error) {
-      // localStorage not available, use memory cache
+
+      const lastGood = await cacheService.getLastGood(cacheKey);
+      if (lastGood) {
+        return { ...this.asStale(lastGood, 'Scheduled refresh failed'), cached: true };
+      }
+      throw new ServiceUnavailableError(`${route} ranking for ${country} could not be refreshed, try again shortly`, 30);
     }
 
-    // Fallback to memory cache
-    const cached = this.memoryCache.get(key);
-    if (cached && Date.now() < cached.expiry) {
-      return cached.value;
-    } else if (cached) {
-      this.memoryCache.delete(key);
+    // If not in cache, fetch fresh data
+    console.log(`Fetching fresh ${route} data for ${country}`);
+    const refreshed = await this.refreshRanking({ platform, route, type, country, enriched, source });
+    return { ...refreshed, cached: Boolean(refreshed.result.stale) };
+  }
+
+  // A last-known-good cache entry served in place of a fresh ranking
+  asStale(entry, reason) {
+    return {
+      result: { ...entry.value, stale: true, staleReason: reason },
+      cachedAt: entry.cachedAt,
+      expiry: null
+    };
+  }
+
+  // ?details=full adds full TMDB metadata on top of the (cached) ranking; 'basic' is the default
+  getDetailsMode(req, enrich) {
+    const details = req.query.details || 'basic';
+    if (!['basic', 'full'].includes(details)) {
+      throw new ValidationError(`Invalid details mode: ${details}. Use basic or full`);
+    }
+    if (details === 'full' && !enrich) {
+      throw new ValidationError('details=full needs TMDB enrichment and cannot be combined with tmdb=false');
     }
+    return details;
+  }
 
-    return null;
+  // ?explain=true lists every TMDB candidate per item with its score components
+  getExplainMode(req, enrich) {
+    const explain = req.query.explain || 'false';
+    if (!['true', 'false'].includes(explain)) {
+      throw new ValidationError(`Invalid explain value: ${explain}. Use true or false`);
+    }
+    if (explain === 'true' && !enrich) {
+      throw new ValidationError('explain=true needs TMDB enrichment and cannot be combined with tmdb=false');
+    }
+    return explain === 'true';
   }
 
-  // Helper method to set cache (tries localStorage first, falls back to memory)
-  setCache(key, value) {
-    const cacheData = {
-      value: value,
-      expiry: Date.now() + this.CACHE_DURATION
+  // Explanations re-run the TMDB search, so they are never cached with the ranking
+  async withExplain(result, explain) {
+    if (!explain) return result;
+
+    return {
+      ...result,
+      data: await scraperService.explainTMDBMatches(result.data, result.countryCode),
+      explain: true
     };
+  }
+
+  // Details are cached per tmdb_id, so the ranking itself is cached without them
+  async withDetails(result, details) {
+    if (details !== 'full') return result;
 
+    return {
+      ...result,
+      data: await scraperService.enrichWithTMDBDetails(result.data),
+      details: 'full'
+    };
+  }
+
+  // Scrape a ranking and store it under its cache key; resolves with { result, cachedAt, expiry }.
+  // When the upstream can't be reached the last good copy is returned flagged `stale: true`,
+  // unless allowStale is false.
+  async refreshRanking({ platform = DEFAULT_PLATFORM, route, type, country, enriched, source = DEFAULT_SOURCE }, { allowStale = true } = {}) {
+    const cacheKey = cacheService.buildKey({ platform, route, type, country, enriched, source });
+
+    let result;
     try {
-      // Try localStorage first (browser environment)
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem(key, JSON.stringify(cacheData));
-        return;
+      result = await scraperService.scrapeTop10(platform, type, enriched, country, source);
+    } catch (error) {
+      const lastGood = allowStale && error.name === 'UpstreamError' ? await cacheService.getLastGood(cacheKey) : null;
+      if (!lastGood) throw error;
+
+      console.warn(`⚠️ Upstream unavailable, serving last good ${cacheKey} from ${lastGood.cachedAt}`);
+      return this.asStale(lastGood, error.message);
+    }
+
+    const entry = await cacheService.setRanking(cacheKey, result);
+    return { result, cachedAt: entry.cachedAt, expiry: entry.expiry };
+  }
+
+  // GET /:platform/:country/:type - same as the /netflix/ routes for any supported platform
+  getPlatformRanking = async (req, res, next) => {
+    try {
+      const ranking = PLATFORM_RANKINGS[req.params.type];
+      if (!ranking) {
+        throw new NotFoundError(`Unknown ranking type: ${req.params.type}. Use one of: ${Object.keys(PLATFORM_RANKINGS).join(', ')}`);
       }
+
+      await this.sendRanking(req, res, ranking.route, ranking.type);
     } catch (error) {
-      // localStorage not available or storage quota exceeded
+      next(error);
     }
+  }
 
-    // Fallback to memory cache
-    this.memoryCache.set(key, cacheData);
+  // GET /platforms - supported platforms and the countries each has a top 10 for
+  listPlatforms = async (req, res) => {
+    res.json({
+      platforms: Object.values(PLATFORMS).map(platform => ({
+        id: platform.id,
+        name: platform.name,
+        types: Object.keys(PLATFORM_RANKINGS),
+        countries: platform.countries,
+        sources: Object.keys(SOURCES).filter(id => !SOURCES[id].platforms || SOURCES[id].platforms.includes(platform.id))
+      })),
+      timestamp: new Date().toISOString()
+    });
   }
 
   getNetflixTop10 = async (req, res, next) => {
     try {
-      const result = await scraperService.scrapeNetflixTop10('both');
-      res.json(result);
+      await this.sendRanking(req, res, 'top10', 'both');
     } catch (error) {
       next(error);
     }
   }
 
   getNetflixTVShows = async (req, res, next) => {
-    const cacheKey = 'netflix_tv_shows';
-    
     try {
-      // Check cache first
-      const cachedResult = this.getFromCache(cacheKey);
-      if (cachedResult) {
-        console.log('Returning cached TV shows data');
-        return res.json({
-          ...cachedResult,
-          cached: true,
-          cacheTimestamp: new Date().toISOString()
-        });
-      }
-
-      // If not in cache, fetch fresh data
-      console.log('Fetching fresh TV shows data');
-      const result = await scraperService.scrapeNetflixTop10('tv');
-      
-      // Cache the result
-      this.setCache(cacheKey, result);
-      
-      res.json({
-        ...result,
-        cached: false,
-        timestamp: new Date().toISOString()
-      });
+      await this.sendRanking(req, res, 'tv', 'tv');
     } catch (error) {
       next(error);
     }
@@ -108,8 +240,7 @@ class ScraperController {
 
   getNetflixMovies = async (req, res, next) => {
     try {
-      const result = await scraperService.scrapeNetflixTop10('movies');
-      res.json(result);
+      await this.sendRanking(req, res, 'movies', 'movies');
     } catch (error) {
       next(error);
     }
@@ -117,10 +248,10 @@ class ScraperController {
 
   getHealth = async (req, res) => {
     // Include cache status in health check
+    const tvShowsKey = cacheService.buildKey({ route: 'tv', type: 'tv', country: DEFAULT_COUNTRY, enriched: true });
     const cacheStatus = {
-      tvShowsCached: this.getFromCache('netflix_tv_shows') !== null,
-      cacheType: typeof localStorage !== 'undefined' ? 'localStorage' : 'memory',
-      memoryCacheSize: this.memoryCache.size
+      ...(await cacheService.getStats()),
+      tvShowsCached: (await cacheService.get(tvShowsKey)) !== null
     };
 
     res.json({
@@ -128,51 +259,124 @@ class ScraperController {
       status: 'active',
       target: process.env.TARGET_URL,
       timestamp: new Date().toISOString(),
-      cache: cacheStatus
+      cache: cacheStatus,
+      upstream: scraperService.pageFetcher.getStatus(),
+      scheduler: schedulerService.getStatus()
     });
   }
 
   // Optional: Method to clear cache manually
-  clearCache(cacheKey = null) {
+  async clearCache(cacheKey = null) {
     if (cacheKey) {
       // Clear specific cache key
-      try {
-        if (typeof localStorage !== 'undefined') {
-          localStorage.removeItem(cacheKey);
-        }
-      } catch (error) {
-        // localStorage not available
-      }
-      this.memoryCache.delete(cacheKey);
+      await cacheService.delete(cacheKey);
     } else {
-      // Clear all cache
-      try {
-        if (typeof localStorage !== 'undefined') {
-          // Clear only our Netflix cache keys
-          const keysToRemove = [];
-          for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('netflix_')) {
-              keysToRemove.push(key);
-            }
-          }
-          keysToRemove.forEach(key => localStorage.removeItem(key));
-        }
-      } catch (error) {
-        // localStorage not available
+      // Clear only ranking keys, for every platform
+      for (const prefix of cacheService.rankingPrefixes) {
+        await cacheService.clear(prefix);
       }
-      this.memoryCache.clear();
     }
   }
 
   // Optional: Endpoint to manually clear cache
-  clearCacheEndpoint = async (req, res) => {
-    const { key } = req.query;
-    this.clearCache(key);
-    res.json({
-      message: key ? `Cache cleared for key: ${key}` : 'All cache cleared',
-      timestamp: new Date().toISOString()
-    });
+  clearCacheEndpoint = async (req, res, next) => {
+    try {
+      const { key } = req.query;
+      await this.clearCache(key);
+      res.json({
+        message: key ? `Cache cleared for key: ${key}` : 'All cache cleared',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Admin: list cache entries with their timestamps
+  listCacheEntries = async (req, res, next) => {
+    try {
+      const keys = await cacheService.keys(req.query.prefix || '');
+      const entries = [];
+
+      for (const key of keys.sort()) {
+        const entry = await cacheService.get(key);
+        if (entry) {
+          entries.push({
+            key,
+            cachedAt: entry.cachedAt,
+            expiresAt: new Date(entry.expiry).toISOString()
+          });
+        }
+      }
+
+      res.json({
+        backend: cacheService.store.name,
+        count: entries.length,
+        entries,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Admin: inspect a single cache entry including its payload
+  getCacheEntry = async (req, res, next) => {
+    try {
+      const entry = await cacheService.get(req.params.key);
+      if (!entry) {
+        throw new NotFoundError(`No cache entry for key: ${req.params.key}`);
+      }
+
+      res.json({
+        key: req.params.key,
+        cachedAt: entry.cachedAt,
+        expiresAt: new Date(entry.expiry).toISOString(),
+        value: entry.value
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Admin: purge a single cache entry
+  deleteCacheEntry = async (req, res, next) => {
+    try {
+      const deleted = await cacheService.delete(req.params.key);
+      if (!deleted) {
+        throw new NotFoundError(`No cache entry for key: ${req.params.key}`);
+      }
+
+      res.json({
+        message: `Cache cleared for key: ${req.params.key}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Admin: re-scrape the ranking behind a cache key and overwrite the entry
+  refreshCacheEntry = async (req, res, next) => {
+    try {
+      const parts = cacheService.parseKey(req.params.key);
+      if (!parts || !['tv', 'movies', 'both'].includes(parts.type)) {
+        throw new ValidationError(`Not a refreshable cache key: ${req.params.key}`);
+      }
+
+      console.log(`🔄 Force refreshing ${req.params.key}`);
+      const { result, cachedAt } = await this.refreshRanking(parts, { allowStale: false });
+
+      res.json({
+        message: `Cache refreshed for key: ${req.params.key}`,
+        key: req.params.key,
+        cachedAt,
+        count: result.count,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 }
 
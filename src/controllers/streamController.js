@@ -0,0 +1,113 @@
+const streamService = require('../services/streamService');
+const scraperService = require('../services/scraperService');
+const scraperController = require('./scraperController');
+const { DEFAULT_COUNTRY } = require('../config/countries');
+const { DEFAULT_PLATFORM } = require('../config/platforms');
+const { ValidationError } = require('../utils/errors');
+
+// Stream type -> the cached ranking loaded for the initial event
+const RANKINGS = {
+  tv: { route: 'tv', type: 'tv' },
+  movies: { route: 'movies', type: 'movies' },
+  both: { route: 'top10', type: 'both' }
+};
+
+class StreamController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.streamRankings = this.streamRankings.bind(this);
+  }
+
+  parseType(type = 'both') {
+    if (!RANKINGS[type]) {
+      throw new ValidationError(`Invalid type: ${type}. Use one of: ${Object.keys(RANKINGS).join(', ')}`);
+    }
+    return type;
+  }
+
+  // GET /netflix/stream?country=&type=&source=&tmdb= - Server-Sent Events: a `ranking` event with the
+  // full ranking on connect, then a `delta` event whenever a fresh scrape changes it.
+  // Last-Event-ID replays the deltas a reconnecting client missed.
+  streamRankings = async (req, res, next) => {
+    let channel;
+    let enriched;
+    try {
+      const country = scraperService.resolveCountry(req.query.country || DEFAULT_COUNTRY).code;
+      const type = this.parseType(req.query.type);
+      const source = scraperController.getSource(req, DEFAULT_PLATFORM);
+      enriched = req.query.tmdb !== 'false';
+
+      // Scrapes are only enriched when TMDB is configured, whatever was asked for
+      channel = streamService.getChannel({
+        platform: DEFAULT_PLATFORM,
+        source,
+        country,
+        type,
+        enriched: enriched && scraperService.tmdbClient.isConfigured()
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${streamService.retryMs}\n\n`);
+
+    const send = (event) => {
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(streamService.format(event));
+      }
+    };
+
+    // Subscribe before loading the ranking so updates arriving meanwhile aren't lost
+    let sentSequence = null;
+    const pending = [];
+    const unsubscribe = streamService.subscribe(channel, event => {
+      if (sentSequence === null) {
+        pending.push(event);
+      } else if (event.sequence > sentSequence) {
+        send(event);
+        sentSequence = event.sequence;
+      }
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), streamService.heartbeatMs);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    try {
+      const lastEventId = req.get('Last-Event-ID');
+      const missed = lastEventId ? streamService.eventsSince(channel, lastEventId) : null;
+
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        const { result } = await scraperController.loadRanking({
+          ...RANKINGS[channel.type],
+          country: channel.country,
+          enriched,
+          source: channel.source
+        });
+        streamService.seed(channel, result);
+        send(streamService.snapshotEvent(channel));
+      }
+    } catch (error) {
+      console.error('❌ Stream could not load the ranking:', error.message);
+      send({ event: 'error', data: { error: error.name, message: error.message } });
+    }
+
+    sentSequence = channel.lastSequence;
+    pending.filter(event => event.sequence > sentSequence).forEach(send);
+    if (pending.length > 0) {
+      sentSequence = Math.max(sentSequence, ...pending.map(event => event.sequence));
+    }
+  }
+}
+
+module.exports = new StreamController();
@@ -0,0 +1,73 @@
+const scraperService = require('../services/scraperService');
+const { DEFAULT_COUNTRY } = require('../config/countries');
+const { ValidationError, ServiceUnavailableError } = require('../utils/errors');
+const { mapWithConcurrency } = require('../utils/workerPool');
+
+const MEDIA_TYPES = ['tv', 'movie', 'multi'];
+const MAX_LOOKUP_ITEMS = parseInt(process.env.TMDB_LOOKUP_MAX_ITEMS) || 25;
+
+class TmdbController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.lookup = this.lookup.bind(this);
+  }
+
+  // Body is a JSON array of { title, mediaType, countryCode }; mediaType and countryCode are optional
+  parseLookupItems(body) {
+    if (!Array.isArray(body)) {
+      throw new ValidationError('Body must be a JSON array of { title, mediaType, countryCode }');
+    }
+    if (body.length === 0 || body.length > MAX_LOOKUP_ITEMS) {
+      throw new ValidationError(`Body must contain between 1 and ${MAX_LOOKUP_ITEMS} items`);
+    }
+
+    return body.map((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new ValidationError(`Item ${index} must be an object`);
+      }
+      if (typeof item.title !== 'string' || item.title.trim() === '') {
+        throw new ValidationError(`Item ${index} needs a non-empty title`);
+      }
+
+      const mediaType = item.mediaType || 'multi';
+      if (!MEDIA_TYPES.includes(mediaType)) {
+        throw new ValidationError(`Item ${index} has invalid mediaType: ${mediaType}. Use one of: ${MEDIA_TYPES.join(', ')}`);
+      }
+
+      return {
+        title: item.title.trim(),
+        mediaType,
+        countryCode: scraperService.resolveCountry(item.countryCode || DEFAULT_COUNTRY).code
+      };
+    });
+  }
+
+  // POST /tmdb/lookup?explain= - explain TMDB matching for a batch of titles without storing anything
+  lookup = async (req, res, next) => {
+    try {
+      const items = this.parseLookupItems(req.body);
+      const explain = req.query.explain === 'true';
+
+      if (!scraperService.tmdbClient.isConfigured()) {
+        throw new ServiceUnavailableError('TMDB lookups need TMDB_API_KEY to be configured');
+      }
+
+      const startedAt = Date.now();
+      const results = await mapWithConcurrency(items, scraperService.tmdbConcurrency, ({ title, mediaType, countryCode }) =>
+        scraperService.lookupTMDB(title, mediaType, countryCode, { explain })
+      );
+
+      res.json({
+        count: results.length,
+        matched: results.filter(result => result.match).length,
+        results,
+        responseTimeMs: Date.now() - startedAt,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TmdbController();
@@ -0,0 +1,148 @@
+const webhookService = require('../services/webhookService');
+const scraperService = require('../services/scraperService');
+const { DEFAULT_PLATFORM } = require('../config/platforms');
+const { DEFAULT_SOURCE } = require('../config/sources');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+class WebhookController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.createWebhook = this.createWebhook.bind(this);
+    this.listWebhooks = this.listWebhooks.bind(this);
+    this.getWebhook = this.getWebhook.bind(this);
+    this.deleteWebhook = this.deleteWebhook.bind(this);
+  }
+
+  // Secrets are only shown once, when the subscription is created
+  present(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  // An optional list field: missing means every allowed value
+  parseList(value, allowed, name) {
+    if (value === undefined) return [...allowed];
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new ValidationError(`${name} must be a non-empty array of: ${allowed.join(', ')}`);
+    }
+
+    const invalid = value.filter(entry => !allowed.includes(entry));
+    if (invalid.length > 0) {
+      throw new ValidationError(`Invalid ${name}: ${invalid.join(', ')}. Use any of: ${allowed.join(', ')}`);
+    }
+    return [...new Set(value)];
+  }
+
+  parseUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new ValidationError(`Invalid webhook url: ${value}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ValidationError('Webhook url must use http or https');
+    }
+    return url.toString();
+  }
+
+  // Body: { url, secret?, platform?, source?, countries?, types?, events? }
+  parseSubscription(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+      throw new ValidationError('secret must be a string of at least 16 characters');
+    }
+
+    const platform = scraperService.resolvePlatform(body.platform || DEFAULT_PLATFORM).id;
+    const source = scraperService.resolveSource(body.source || DEFAULT_SOURCE, platform).id;
+
+    // Countries default to every country the platform has a list for
+    let countries = [];
+    if (body.countries !== undefined) {
+      if (!Array.isArray(body.countries)) {
+        throw new ValidationError('countries must be an array of ISO country codes');
+      }
+      countries = [...new Set(body.countries.map(code => scraperService.resolveCountry(code, platform).code))];
+    }
+
+    return {
+      url: this.parseUrl(body.url),
+      secret: body.secret,
+      platform,
+      source,
+      countries,
+      types: this.parseList(body.types, webhookService.types, 'types'),
+      events: this.parseList(body.events, webhookService.events, 'events')
+    };
+  }
+
+  // POST /webhooks - subscribe; the response includes the signing secret
+  createWebhook = async (req, res, next) => {
+    try {
+      const subscription = await webhookService.create(this.parseSubscription(req.body));
+
+      res.status(201).json({
+        success: true,
+        webhook: subscription,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /webhooks
+  listWebhooks = async (req, res, next) => {
+    try {
+      const subscriptions = await webhookService.list();
+
+      res.json({
+        success: true,
+        count: subscriptions.length,
+        webhooks: subscriptions.map(subscription => this.present(subscription)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // GET /webhooks/:id
+  getWebhook = async (req, res, next) => {
+    try {
+      const subscription = await webhookService.get(req.params.id);
+      if (!subscription) {
+        throw new NotFoundError(`No webhook with id: ${req.params.id}`);
+      }
+
+      res.json({
+        success: true,
+        webhook: this.present(subscription),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // DELETE /webhooks/:id
+  deleteWebhook = async (req, res, next) => {
+    try {
+      const deleted = await webhookService.delete(req.params.id);
+      if (!deleted) {
+        throw new NotFoundError(`No webhook with id: ${req.params.id}`);
+      }
+
+      res.json({
+        message: `Webhook deleted: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
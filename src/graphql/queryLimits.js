@@ -0,0 +1,49 @@
+const { GraphQLError, Kind } = require('graphql');
+
+// Depth and field count of a selection set, with fragments expanded and introspection fields
+// (__schema, __type, __typename) left out. Counting stops once maxFields is passed, so fragments
+// spread inside each other can't make the walk itself expensive.
+const measure = (context, selectionSet, maxFields, visited, totals) => {
+  let depth = 0;
+
+  for (const selection of selectionSet.selections) {
+    if (totals.fields > maxFields) break;
+
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) continue;
+
+      totals.fields++;
+      const childDepth = selection.selectionSet ? measure(context, selection.selectionSet, maxFields, visited, totals) : 0;
+      depth = Math.max(depth, 1 + childDepth);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      depth = Math.max(depth, measure(context, selection.selectionSet, maxFields, visited, totals));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = context.getFragment(name);
+      // Unknown and cyclic fragments are reported by the standard rules
+      if (!fragment || visited.has(name)) continue;
+
+      depth = Math.max(depth, measure(context, fragment.selectionSet, maxFields, new Set([...visited, name]), totals));
+    }
+  }
+
+  return depth;
+};
+
+// Validation rule rejecting operations nested more than maxDepth fields deep or selecting more
+// than maxFields fields. Types link back to each other (Country.ranking.country.ranking...) and
+// aliases repeat fields, so without it one query could fan out without bound.
+const queryLimits = ({ maxDepth, maxFields }) => (context) => ({
+  OperationDefinition(operation) {
+    const totals = { fields: 0 };
+    const depth = measure(context, operation.selectionSet, maxFields, new Set(), totals);
+
+    if (totals.fields > maxFields) {
+      context.reportError(new GraphQLError(`Query selects more than ${maxFields} fields`, { nodes: [operation] }));
+    } else if (depth > maxDepth) {
+      context.reportError(new GraphQLError(`Query is nested ${depth} levels deep; the limit is ${maxDepth}`, { nodes: [operation] }));
+    }
+  }
+});
+
+module.exports = { queryLimits };
@@ -0,0 +1,252 @@
+const scraperService = require('../services/scraperService');
+const historyService = require('../services/historyService');
+const cacheService = require('../services/cacheService');
+const scraperController = require('../controllers/scraperController');
+const { COUNTRIES, DEFAULT_COUNTRY } = require('../config/countries');
+const { PLATFORMS, DEFAULT_PLATFORM } = require('../config/platforms');
+const { DEFAULT_SOURCE } = require('../config/sources');
+const { ValidationError } = require('../utils/errors');
+const { hashContent } = require('../utils/httpCache');
+const { createLimiter } = require('../utils/workerPool');
+
+// RankingType -> cache route and scrape type, as on the REST routes
+const RANKINGS = {
+  TV: { route: 'tv', type: 'tv' },
+  MOVIES: { route: 'movies', type: 'movies' },
+  BOTH: { route: 'top10', type: 'both' }
+};
+
+// Scrape and snapshot types -> RankingType
+const TYPE_NAMES = { tv: 'TV', movies: 'MOVIES', both: 'BOTH' };
+
+const CATEGORIES = { TV_SHOW: 'TV Show', MOVIE: 'Movie' };
+
+// Rankings are loaded a couple at a time, like the aggregate route, so `countries { ranking }`
+// on a cold cache doesn't fire every scrape at once
+const RANKING_CONCURRENCY = 2;
+
+// Per-request state. Rankings are memoized, so aliases and repeated fields share one cache lookup,
+// and only maxUncachedRankings of them may miss the cache and be scraped.
+const createContext = ({ maxUncachedRankings }) => {
+  return {
+    rankings: new Map(),
+    limit: createLimiter(RANKING_CONCURRENCY),
+    maxUncachedRankings,
+    uncachedRankings: 0
+  };
+};
+
+const inRankRange = (rank, { minRank = null, maxRank = null }) => {
+  return (minRank === null || rank >= minRank) && (maxRank === null || rank <= maxRank);
+};
+
+// Validate platform, country and source the same way the REST routes do
+const resolveTarget = ({ country, platform, source }) => {
+  const platformId = scraperService.resolvePlatform(platform || DEFAULT_PLATFORM).id;
+
+  return {
+    platform: platformId,
+    country: scraperService.resolveCountry(country || DEFAULT_COUNTRY, platformId).code,
+    source: scraperService.resolveSource(source || DEFAULT_SOURCE, platformId).id
+  };
+};
+
+const toCountry = (code) => {
+  return {
+    code,
+    name: COUNTRIES[code].name,
+    platforms: Object.values(PLATFORMS).filter(platform => platform.countries.includes(code)).map(platform => platform.id),
+    ranking: (args, context) => loadRanking(context, { ...args, country: code }),
+    history: (args) => loadHistory({ ...args, country: code })
+  };
+};
+
+const toRanking = (result, { type, date = null, cached = false, cachedAt = null }) => {
+  return {
+    country: () => toCountry(result.countryCode),
+    type,
+    platform: result.platform || DEFAULT_PLATFORM,
+    source: result.source || DEFAULT_SOURCE,
+    date: date || historyService.toDateKey(result.scrapedAt),
+    week: result.week || null,
+    scrapedAt: result.scrapedAt,
+    cachedAt,
+    cached,
+    stale: Boolean(result.stale),
+    contentHash: result.contentHash || null,
+    count: result.data.length,
+    items: ({ category, ...range }) => result.data
+      .filter(item => (!category || item.category === CATEGORIES[category]) && inRankRange(item.rank, range))
+      .map(toRankingItem)
+  };
+};
+
+// Items keep their REST field names where they are already camelCase
+const toRankingItem = (item) => {
+  return {
+    ...item,
+    category: item.category === CATEGORIES.MOVIE ? 'MOVIE' : 'TV_SHOW',
+    posterUrl: item.posterUrl || item.poster || null,
+    tmdb: () => item.tmdb_id
+      ? toTitle({
+        tmdbId: String(item.tmdb_id),
+        mediaType: item.tmdb_media_type || (item.category === CATEGORIES.MOVIE ? 'movie' : 'tv'),
+        name: item.tmdb_title || null,
+        releaseDate: item.tmdb_release_date || null,
+        flixpatrolSlug: item.flixpatrolSlug || null,
+        season: item.tmdb_season || null
+      })
+      : null
+  };
+};
+
+const toTitle = ({ tmdbId, mediaType, name, releaseDate = null, flixpatrolSlug = null, season = null }) => {
+  return {
+    tmdbId,
+    flixpatrolSlug,
+    name,
+    mediaType,
+    releaseDate,
+    tmdbUrl: tmdbId ? `https://www.themoviedb.org/${mediaType}/${tmdbId}` : null,
+    season: season && {
+      tmdbSeasonId: season.tmdb_season_id,
+      seasonNumber: season.season_number,
+      name: season.name,
+      airDate: season.air_date,
+      episodeCount: season.episode_count,
+      posterUrl: season.poster_url,
+      tmdbUrl: season.tmdb_url
+    },
+    details: () => loadDetails(tmdbId, mediaType),
+    history: (args) => loadTitleHistory(tmdbId || flixpatrolSlug, args)
+  };
+};
+
+// Cached ranking for the arguments, scraped on a miss (see ScraperController.loadRanking)
+const loadRanking = async (context, { country, type, platform, source, tmdb }) => {
+  const target = resolveTarget({ country, platform, source });
+  const params = { ...target, ...RANKINGS[type], enriched: tmdb };
+  const key = cacheService.buildKey(params);
+
+  if (!context.rankings.has(key)) {
+    context.rankings.set(key, loadWithinBudget(context, key, params));
+  }
+
+  const { result, cached, cachedAt } = await context.rankings.get(key);
+  return toRanking(result, { type, cached, cachedAt });
+};
+
+// Cached rankings are cheap; a miss means a FlixPatrol scrape plus TMDB enrichment, so each
+// request only gets a few of those
+const loadWithinBudget = async (context, key, params) => {
+  if (!(await cacheService.get(key))) {
+    context.uncachedRankings++;
+    if (context.uncachedRankings > context.maxUncachedRankings) {
+      throw new ValidationError(`${key} isn't cached and this query already loads ${context.maxUncachedRankings} rankings that aren't; request fewer countries or types at once`);
+    }
+  }
+
+  return context.limit(() => scraperController.loadRanking(params));
+};
+
+// The stored snapshots for a day, or the latest ones; 'BOTH' combines the TV and movie snapshots
+const loadHistory = async ({ country, type, date, platform, source }) => {
+  const target = resolveTarget({ country, platform, source });
+  if (date && !historyService.isDateKey(date)) {
+    throw new ValidationError(`Invalid date: ${date}. Use YYYY-MM-DD`);
+  }
+
+  const history = historyService.forPlatform(target.platform, target.source);
+  const snapshots = [];
+  for (const snapshotType of history.typesFor(RANKINGS[type].type)) {
+    const snapshot = date
+      ? await history.getSnapshot(target.country, snapshotType, date)
+      : await history.getLatestSnapshot(target.country, snapshotType);
+    if (snapshot) snapshots.push(snapshot);
+  }
+
+  if (snapshots.length === 0) return null;
+
+  const data = snapshots.flatMap(snapshot => snapshot.items);
+  return toRanking({
+    data,
+    countryCode: target.country,
+    platform: target.platform,
+    source: target.source,
+    scrapedAt: snapshots.map(snapshot => snapshot.scrapedAt).sort().at(-1),
+    contentHash: hashContent(data)
+  }, { type, date: snapshots[0].date });
+};
+
+// Full TMDB metadata, cached per tmdb_id by ScraperService
+const loadDetails = async (tmdbId, mediaType) => {
+  if (!tmdbId || !['movie', 'tv'].includes(mediaType) || !scraperService.tmdbClient.isConfigured()) {
+    return null;
+  }
+
+  const details = await scraperService.getTMDBDetails(tmdbId, mediaType);
+  return {
+    overview: details.overview,
+    genres: details.genres,
+    originalLanguage: details.original_language,
+    voteAverage: details.vote_average,
+    voteCount: details.vote_count,
+    posterUrl: details.poster_url,
+    backdropUrl: details.backdrop_url,
+    runtime: details.runtime ?? null,
+    numberOfSeasons: details.number_of_seasons ?? null,
+    numberOfEpisodes: details.number_of_episodes ?? null,
+    episodeRuntime: details.episode_runtime ?? null,
+    cast: details.cast.map(member => ({ ...member, profileUrl: member.profile_url })),
+    trailers: details.trailers
+  };
+};
+
+const loadTitleHistory = async (titleId, { country, type } = {}) => {
+  const history = await historyService.getTitleHistory(titleId, {
+    countryCode: country ? scraperService.resolveCountry(country).code : null,
+    type: type && type !== 'BOTH' ? RANKINGS[type].type : null
+  });
+
+  return {
+    ...history,
+    appearances: (range) => history.appearances
+      .filter(appearance => inRankRange(appearance.rank, range))
+      .map(appearance => ({ ...appearance, type: TYPE_NAMES[appearance.type] }))
+  };
+};
+
+const rootValue = {
+  countries: ({ platform }) => {
+    const codes = platform ? scraperService.resolvePlatform(platform).countries : Object.keys(COUNTRIES);
+    return codes.map(toCountry);
+  },
+
+  country: ({ code }) => {
+    const countryCode = code.toUpperCase();
+    return COUNTRIES[countryCode] ? toCountry(countryCode) : null;
+  },
+
+  ranking: (args, context) => loadRanking(context, args),
+
+  history: (args) => loadHistory(args),
+
+  // id is a TMDB ID or a FlixPatrol slug, as on GET /netflix/title/:titleId/history
+  title: async ({ id }) => {
+    if (!/^\d+$/.test(id) && !/^[a-z0-9][a-z0-9-]*$/i.test(id)) {
+      throw new ValidationError(`Invalid title ID: ${id}. Use a TMDB ID or a FlixPatrol slug`);
+    }
+
+    const history = await historyService.getTitleHistory(id);
+    if (history.appearances.length === 0) return null;
+
+    return toTitle({
+      tmdbId: history.tmdbId,
+      flixpatrolSlug: history.flixpatrolSlug,
+      name: history.title,
+      mediaType: history.appearances[0].type === 'movies' ? 'movie' : 'tv'
+    });
+  }
+};
+
+module.exports = { rootValue, createContext };
@@ -0,0 +1,163 @@
+const { buildSchema } = require('graphql');
+
+// Types for POST/GET /graphql. Resolvers live in ./resolvers.js and return plain objects whose
+// fields are values or methods (called with the field's arguments), so nested data such as TMDB
+// details and title history is only loaded when a query asks for it.
+const schema = buildSchema(`
+  enum RankingType {
+    TV
+    MOVIES
+    BOTH
+  }
+
+  enum Category {
+    TV_SHOW
+    MOVIE
+  }
+
+  type Query {
+    "Countries with a Top 10, optionally only those a platform has a list for"
+    countries(platform: String): [Country!]!
+
+    "A country by ISO code, or null if it isn't supported"
+    country(code: String!): Country
+
+    "The current ranking, from the cache or scraped on a miss like the REST routes"
+    ranking(country: String, type: RankingType = BOTH, platform: String, source: String, tmdb: Boolean = true): Ranking!
+
+    "The stored ranking for a day (YYYY-MM-DD), or the latest day; null if there is none"
+    history(country: String, type: RankingType = BOTH, date: String, platform: String, source: String): Ranking
+
+    "A title by TMDB ID or FlixPatrol slug, from the stored history; null if it never charted"
+    title(id: ID!): Title
+  }
+
+  type Country {
+    code: String!
+    name: String!
+    "Platforms with a Top 10 for this country"
+    platforms: [String!]!
+    "The current ranking; null if it couldn't be loaded, with the reason in errors"
+    ranking(type: RankingType = BOTH, platform: String, source: String, tmdb: Boolean = true): Ranking
+    history(type: RankingType = BOTH, date: String, platform: String, source: String): Ranking
+  }
+
+  type Ranking {
+    country: Country!
+    type: RankingType!
+    platform: String!
+    source: String!
+    "Day of the scrape (UTC)"
+    date: String!
+    "Week of the ranking, for weekly sources"
+    week: String
+    scrapedAt: String!
+    cachedAt: String
+    cached: Boolean!
+    "Set when the last good copy is served because the upstream is unavailable"
+    stale: Boolean!
+    contentHash: String
+    "Items in the whole ranking, before filtering"
+    count: Int!
+    items(category: Category, minRank: Int, maxRank: Int): [RankingItem!]!
+  }
+
+  type RankingItem {
+    rank: Int!
+    title: String!
+    category: Category!
+    seriesTitle: String
+    seasonNumber: Int
+    part: Int
+    limitedSeries: Boolean
+    previousRank: Int
+    rankChange: Int
+    isNew: Boolean
+    daysInTop10: Int
+    peakRank: Int
+    points: Int
+    flixpatrolSlug: String
+    flixpatrolUrl: String
+    flixpatrolDays: Int
+    posterUrl: String
+    weeksInTop10: Int
+    hoursViewed: Float
+    views: Float
+    "The matched TMDB title, or null without a match"
+    tmdb: Title
+  }
+
+  type Title {
+    tmdbId: ID
+    flixpatrolSlug: String
+    name: String
+    "movie or tv"
+    mediaType: String
+    releaseDate: String
+    tmdbUrl: String
+    "The TMDB season for numbered seasons of a show"
+    season: Season
+    "Full TMDB metadata, fetched on demand and cached per title; null without a TMDB match"
+    details: TitleDetails
+    history(country: String, type: RankingType): TitleHistory!
+  }
+
+  type Season {
+    tmdbSeasonId: ID
+    seasonNumber: Int
+    name: String
+    airDate: String
+    episodeCount: Int
+    posterUrl: String
+    tmdbUrl: String
+  }
+
+  type TitleDetails {
+    overview: String
+    genres: [String!]!
+    originalLanguage: String
+    voteAverage: Float
+    voteCount: Int
+    posterUrl: String
+    backdropUrl: String
+    runtime: Int
+    numberOfSeasons: Int
+    numberOfEpisodes: Int
+    episodeRuntime: Int
+    cast: [CastMember!]!
+    trailers: [Trailer!]!
+  }
+
+  type CastMember {
+    id: ID!
+    name: String!
+    character: String
+    profileUrl: String
+  }
+
+  type Trailer {
+    key: String!
+    name: String
+    type: String
+    official: Boolean
+    url: String!
+  }
+
+  type TitleHistory {
+    daysInTop10: Int!
+    peakRank: Int
+    firstSeen: String
+    lastSeen: String
+    appearances(minRank: Int, maxRank: Int): [Appearance!]!
+  }
+
+  type Appearance {
+    date: String!
+    countryCode: String!
+    type: RankingType!
+    rank: Int!
+    title: String!
+  }
+`);
+
+module.exports = schema;
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Constant-time comparison so the key can't be guessed byte by byte from response timing
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Accepts either "X-API-Key: <key>" or "Authorization: Bearer <key>", checked against ADMIN_API_KEY
+const adminAuth = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return next(new ForbiddenError('Admin API is disabled: ADMIN_API_KEY is not configured'));
+  }
+
+  const authHeader = req.get('Authorization') || '';
+  const bearerMatch = authHeader.match(/^Bearer\s+(.+)$/i);
+  const providedKey = req.get('X-API-Key') || (bearerMatch ? bearerMatch[1].trim() : null);
+
+  if (!providedKey) {
+    return next(new UnauthorizedError('Missing admin credentials: send X-API-Key or Authorization: Bearer'));
+  }
+
+  if (!safeEqual(providedKey, adminKey)) {
+    return next(new ForbiddenError('Invalid admin credentials'));
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
@@ -8,13 +8,70 @@ const errorHandler = (err, req, res, next) => {
     });
   }
   
-  if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
+  // Raised by express.json() for bodies that aren't valid JSON
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Request body is not valid JSON'
+    });
+  }
+  
+  if (err.name === 'UnauthorizedError') {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: err.message
+    });
+  }
+  
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: err.message
+    });
+  }
+  
+  if (err.name === 'NotFoundError') {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: err.message
+    });
+  }
+  
+  if (err.name === 'ServiceUnavailableError') {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: err.message
+    });
+  }
+  
+  if (err.name === 'ParseDegradedError') {
+    return res.status(502).json({
+      error: 'Parse Degraded',
+      message: err.message,
+      diagnostics: err.diagnostics
+    });
+  }
+  
+  if (['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(err.code)) {
     return res.status(503).json({
       error: 'Service Unavailable',
       message: 'Unable to reach target website'
     });
   }
   
+  if (err.name === 'UpstreamError') {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(err.code === 'ECIRCUITOPEN' ? 503 : 502).json({
+      error: err.code === 'ECIRCUITOPEN' ? 'Service Unavailable' : 'Bad Gateway',
+      message: err.message
+    });
+  }
+  
   res.status(500).json({
     error: 'Internal Server Error',
     message: process.env.NODE_ENV === 'production' 
@@ -0,0 +1,12 @@
+const express = require('express');
+const graphqlController = require('../controllers/graphqlController');
+
+const router = express.Router();
+
+// GET /graphql?query=&variables=&operationName= - Run a GraphQL query
+router.get('/', graphqlController.executeQuery);
+
+// POST /graphql - Run a GraphQL query ({ query, variables?, operationName? })
+router.post('/', graphqlController.executeQuery);
+
+module.exports = router;
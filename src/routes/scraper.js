@@ -1,5 +1,12 @@
 const express = require('express');
 const scraperController = require('../controllers/scraperController');
+const historyController = require('../controllers/historyController');
+const matchController = require('../controllers/matchController');
+const tmdbController = require('../controllers/tmdbController');
+const aggregateController = require('../controllers/aggregateController');
+const webhookController = require('../controllers/webhookController');
+const streamController = require('../controllers/streamController');
+const adminAuth = require('../middleware/adminAuth');
 
 const router = express.Router();
 
@@ -12,7 +19,79 @@ router.get('/netflix/tv', scraperController.getNetflixTVShows);
 // GET /api/scraper/netflix/movies - Get only movies
 router.get('/netflix/movies', scraperController.getNetflixMovies);
 
+// GET /api/scraper/netflix/history?date=&country=&type= - Stored ranking for a day (latest if no date)
+router.get('/netflix/history', historyController.getRankingHistory);
+
+// GET /api/scraper/netflix/title/:titleId/history - Days a title (TMDB ID or FlixPatrol slug) spent in the Top 10
+router.get('/netflix/title/:titleId/history', historyController.getTitleHistory);
+
+// GET /api/scraper/netflix/aggregate?region=|countries=&type=&formula=&limit= - One ranking merged across countries
+router.get('/netflix/aggregate', aggregateController.getAggregate);
+
+// GET /api/scraper/netflix/stream?country=&type= - Server-Sent Events with the ranking and live deltas
+router.get('/netflix/stream', streamController.streamRankings);
+
+// GET /api/scraper/netflix/:country/top10 - Get both TV shows and movies for an ISO country code
+router.get('/netflix/:country/top10', scraperController.getNetflixTop10);
+
+// GET /api/scraper/netflix/:country/tv - Get only TV shows for an ISO country code
+router.get('/netflix/:country/tv', scraperController.getNetflixTVShows);
+
+// GET /api/scraper/netflix/:country/movies - Get only movies for an ISO country code
+router.get('/netflix/:country/movies', scraperController.getNetflixMovies);
+
+// POST /api/scraper/tmdb/lookup - Match a JSON array of { title, mediaType, countryCode } with scores and runner-ups
+router.post('/tmdb/lookup', tmdbController.lookup);
+
 // GET /api/scraper/health
 router.get('/health', scraperController.getHealth);
 
+// Admin routes - require ADMIN_API_KEY via X-API-Key or Authorization: Bearer
+// GET /api/scraper/admin/cache - List cache entries (optional ?prefix=)
+router.get('/admin/cache', adminAuth, scraperController.listCacheEntries);
+
+// GET /api/scraper/admin/cache/:key - Inspect a cache entry
+router.get('/admin/cache/:key', adminAuth, scraperController.getCacheEntry);
+
+// DELETE /api/scraper/admin/cache - Purge all Netflix entries, or one with ?key=
+router.delete('/admin/cache', adminAuth, scraperController.clearCacheEndpoint);
+
+// DELETE /api/scraper/admin/cache/:key - Purge a cache entry
+router.delete('/admin/cache/:key', adminAuth, scraperController.deleteCacheEntry);
+
+// POST /api/scraper/admin/cache/:key/refresh - Re-scrape and overwrite a cache entry
+router.post('/admin/cache/:key/refresh', adminAuth, scraperController.refreshCacheEntry);
+
+// GET /api/scraper/admin/matches - List stored TMDB matches (optional ?country=&mediaType=&status=)
+router.get('/admin/matches', adminAuth, matchController.listMatches);
+
+// GET /api/scraper/admin/matches/:country/:mediaType/:title - View a stored match
+router.get('/admin/matches/:country/:mediaType/:title', adminAuth, matchController.getMatch);
+
+// PUT /api/scraper/admin/matches/:country/:mediaType/:title - Pin a TMDB ID ({ tmdbId }) or mark no match ({ noMatch: true })
+router.put('/admin/matches/:country/:mediaType/:title', adminAuth, matchController.setMatch);
+
+// DELETE /api/scraper/admin/matches/:country/:mediaType/:title - Forget a match so it is searched again
+router.delete('/admin/matches/:country/:mediaType/:title', adminAuth, matchController.deleteMatch);
+
+// Webhook routes - require ADMIN_API_KEY, since subscribers choose where the server sends requests
+// POST /api/scraper/webhooks - Subscribe ({ url, secret?, platform?, source?, countries?, types?, events? })
+router.post('/webhooks', adminAuth, webhookController.createWebhook);
+
+// GET /api/scraper/webhooks - List subscriptions (without their secrets)
+router.get('/webhooks', adminAuth, webhookController.listWebhooks);
+
+// GET /api/scraper/webhooks/:id - View a subscription and its last delivery
+router.get('/webhooks/:id', adminAuth, webhookController.getWebhook);
+
+// DELETE /api/scraper/webhooks/:id - Unsubscribe
+router.delete('/webhooks/:id', adminAuth, webhookController.deleteWebhook);
+
+// GET /api/scraper/platforms - Supported platforms and their countries
+router.get('/platforms', scraperController.listPlatforms);
+
+// GET /api/scraper/:platform/:country/:type - Top 10 for any supported platform (type: top10, tv or movies).
+// Keep this last so it doesn't shadow the fixed routes above.
+router.get('/:platform/:country/:type', scraperController.getPlatformRanking);
+
 module.exports = router;
\ No newline at end of file
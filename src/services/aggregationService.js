@@ -0,0 +1,124 @@
+const { normalizeTitle } = require('../utils/titleMatching');
+
+// Each formula turns one country's item into points; a title's aggregate score is the sum over countries.
+//   borda  - 11 - rank, so #1 earns 10 points and #10 earns 1
+//   points - FlixPatrol's own points for the row. Countries whose page has none can't be scored
+//            this way (see canScore); mixing in Borda points would put them on a different scale.
+const hasPoints = (item) => typeof item.points === 'number';
+
+const FORMULAS = {
+  borda: (item) => Math.max(11 - item.rank, 0),
+  points: (item) => (hasPoints(item) ? item.points : 0)
+};
+
+const DEFAULT_FORMULA = process.env.AGGREGATE_FORMULA || 'borda';
+
+// Merges per-country rankings from scrapeNetflixTop10 into one combined ranking
+class AggregationService {
+  get formulas() {
+    return Object.keys(FORMULAS);
+  }
+
+  get defaultFormula() {
+    return DEFAULT_FORMULA;
+  }
+
+  // Identifiers of a title across countries: its TMDB ID and FlixPatrol slug, or the title text when
+  // it has neither. An item matches every entry that shares any of them, so a title enriched in one
+  // country and only slugged in another still ends up in one row.
+  titleKeys(item) {
+    const keys = [];
+    if (item.tmdb_id) keys.push(`tmdb:${item.tmdb_media_type || item.category}:${item.tmdb_id}`);
+    if (item.flixpatrolSlug) keys.push(`slug:${item.flixpatrolSlug}`);
+    return keys.length > 0 ? keys : [`title:${item.category}:${normalizeTitle(item.title)}`];
+  }
+
+  // Whether a country's ranking can be scored with the formula; aggregate() callers skip the ones that can't
+  canScore(ranking, formula) {
+    return formula !== 'points' || ranking.data.some(hasPoints);
+  }
+
+  // A title can only chart once per country list; keep its best rank there
+  addCountry(entry, country) {
+    const existing = entry.countries.find(c => c.countryCode === country.countryCode);
+    if (!existing) {
+      entry.score += country.points;
+      entry.countries.push(country);
+    } else if (country.rank < existing.rank) {
+      entry.score += country.points - existing.points;
+      Object.assign(existing, country);
+    }
+  }
+
+  // Fold `other` into `entry` once an item turns out to link them (e.g. it has both their IDs)
+  mergeEntries(entry, other, titles) {
+    other.countries.forEach(country => this.addCountry(entry, country));
+    this.fillIdentifiers(entry, other);
+    for (const key of other.keys) {
+      entry.keys.add(key);
+      titles.set(key, entry);
+    }
+  }
+
+  fillIdentifiers(entry, item) {
+    if (!entry.tmdb_id && item.tmdb_id) {
+      Object.assign(entry, { title: item.tmdb_title || item.title, tmdb_id: item.tmdb_id, tmdb_media_type: item.tmdb_media_type || null });
+    }
+    entry.flixpatrolSlug = entry.flixpatrolSlug || item.flixpatrolSlug || null;
+  }
+
+  // rankings is a list of scrape results ({ countryCode, data }); returns the combined items best first
+  aggregate(rankings, { formula = DEFAULT_FORMULA, limit = 10 } = {}) {
+    const score = FORMULAS[formula];
+    if (!score) {
+      throw new Error(`Unknown aggregate formula: ${formula}`);
+    }
+
+    // Every identifier -> its entry; entries sharing an identifier are merged
+    const titles = new Map();
+
+    for (const ranking of rankings) {
+      for (const item of ranking.data) {
+        const keys = this.titleKeys(item);
+        const [entry, ...others] = [...new Set(keys.map(key => titles.get(key)).filter(Boolean))];
+        const target = entry || {
+          title: item.tmdb_title || item.title,
+          category: item.category,
+          tmdb_id: item.tmdb_id || null,
+          tmdb_media_type: item.tmdb_media_type || null,
+          flixpatrolSlug: item.flixpatrolSlug || null,
+          score: 0,
+          countries: [],
+          keys: new Set()
+        };
+
+        others.forEach(other => this.mergeEntries(target, other, titles));
+        this.addCountry(target, { countryCode: ranking.countryCode, rank: item.rank, points: score(item), title: item.title });
+        this.fillIdentifiers(target, item);
+        for (const key of keys) {
+          target.keys.add(key);
+          titles.set(key, target);
+        }
+      }
+    }
+
+    const combined = [...new Set(titles.values())].map(({ keys, ...entry }) => ({
+      ...entry,
+      countryCount: entry.countries.length,
+      bestRank: Math.min(...entry.countries.map(country => country.rank)),
+      countries: entry.countries.sort((a, b) => a.rank - b.rank || a.countryCode.localeCompare(b.countryCode))
+    }));
+
+    // Ties go to the title charting in more countries, then the better best rank
+    combined.sort((a, b) =>
+      b.score - a.score ||
+      b.countryCount - a.countryCount ||
+      a.bestRank - b.bestRank ||
+      a.title.localeCompare(b.title)
+    );
+
+    return combined.slice(0, limit).map((entry, index) => ({ aggregateRank: index + 1, ...entry }));
+  }
+}
+
+module.exports = new AggregationService();
@@ -0,0 +1,80 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File-on-disk store: one JSON file per key so entries survive restarts
+class FileStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = path.resolve(options.directory || './.cache');
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      // Missing or unreadable files are treated as cache misses
+      return null;
+    }
+
+    if (Date.now() >= entry.expiry) {
+      await this.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temp file first so readers never see a half-written entry
+    const target = this.filePath(key);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(entry));
+    await fs.rename(tempFile, target);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async keys(prefix = '') {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    const keys = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      // get() drops expired entries as a side effect
+      if (key.startsWith(prefix) && await this.get(key)) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    await Promise.all(keys.map(key => this.delete(key)));
+    return keys.length;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,58 @@
+// Minimal in-process stand-in for the node-redis v4 client, covering only the
+// commands RedisStore uses. Lets the Redis code path run without a Redis server.
+class LocalRedisClient {
+  constructor() {
+    this.isOpen = false;
+    this.data = new Map();
+  }
+
+  async connect() {
+    this.isOpen = true;
+  }
+
+  async quit() {
+    this.isOpen = false;
+  }
+
+  expired(key) {
+    const item = this.data.get(key);
+    if (item && item.expiresAt !== null && Date.now() >= item.expiresAt) {
+      this.data.delete(key);
+      return true;
+    }
+    return !item;
+  }
+
+  async get(key) {
+    return this.expired(key) ? null : this.data.get(key).value;
+  }
+
+  async set(key, value, options = {}) {
+    const expiresAt = options.PX ? Date.now() + options.PX : null;
+    this.data.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (!this.expired(key)) {
+        this.data.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async *scanIterator(options = {}) {
+    // Only trailing-wildcard MATCH patterns are supported
+    const prefix = (options.MATCH || '*').replace(/\*$/, '');
+    for (const key of [...this.data.keys()]) {
+      if (key.startsWith(prefix) && !this.expired(key)) {
+        yield key;
+      }
+    }
+  }
+}
+
+module.exports = LocalRedisClient;
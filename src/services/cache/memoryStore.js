@@ -0,0 +1,60 @@
+// In-memory LRU store. Map keeps insertion order, so re-inserting on read
+// moves a key to the "most recently used" end and the first key is the eviction candidate.
+class MemoryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiry) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const now = Date.now();
+    const keys = [];
+
+    for (const [key, entry] of this.entries) {
+      if (now >= entry.expiry) {
+        this.entries.delete(key);
+      } else if (key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    keys.forEach(key => this.entries.delete(key));
+    return keys.length;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,65 @@
+// Redis store. Works with a node-redis v4 client or the local stand-in from localRedisClient.js
+class RedisStore {
+  constructor(options = {}) {
+    this.name = options.local ? 'redis-local' : 'redis';
+    this.prefix = options.prefix || 'netflixdataapi:';
+    this.client = options.client || this.createClient(options.url);
+  }
+
+  createClient(url) {
+    const { createClient } = require('redis');
+    const client = createClient({ url });
+    client.on('error', error => console.error('❌ Redis error:', error.message));
+    return client;
+  }
+
+  async connect() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const raw = await client.get(this.prefix + key);
+    if (!raw) return null;
+
+    const entry = JSON.parse(raw);
+    return Date.now() < entry.expiry ? entry : null;
+  }
+
+  async set(key, entry) {
+    const client = await this.connect();
+    const ttl = Math.max(entry.expiry - Date.now(), 1);
+    // Redis handles expiry itself via PX
+    await client.set(this.prefix + key, JSON.stringify(entry), { PX: ttl });
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    return (await client.del(this.prefix + key)) > 0;
+  }
+
+  async keys(prefix = '') {
+    const client = await this.connect();
+    const keys = [];
+
+    for await (const key of client.scanIterator({ MATCH: `${this.prefix}${prefix}*` })) {
+      keys.push(key.slice(this.prefix.length));
+    }
+
+    return keys;
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    if (keys.length > 0) {
+      const client = await this.connect();
+      await client.del(keys.map(key => this.prefix + key));
+    }
+    return keys.length;
+  }
+}
+
+module.exports = RedisStore;
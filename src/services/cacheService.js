@@ -0,0 +1,198 @@
+const MemoryStore = require('./cache/memoryStore');
+const FileStore = require('./cache/fileStore');
+const RedisStore = require('./cache/redisStore');
+const LocalRedisClient = require('./cache/localRedisClient');
+const { PLATFORMS, DEFAULT_PLATFORM } = require('../config/platforms');
+const { SOURCES, DEFAULT_SOURCE } = require('../config/sources');
+
+class CacheService {
+  constructor() {
+    this.ttl = (parseInt(process.env.CACHE_TTL_SECONDS) || 60 * 60) * 1000; // 1 hour by default
+    this.staleTtl = (parseInt(process.env.STALE_TTL_SECONDS) || 7 * 24 * 60 * 60) * 1000; // 1 week by default
+    this.store = this.createStore(process.env.CACHE_BACKEND || 'memory');
+    this.staleStore = this.createStaleStore(process.env.CACHE_BACKEND || 'memory');
+    this.tmdbStore = this.createTmdbStore(process.env.CACHE_BACKEND || 'memory');
+  }
+
+  // Pick a backend: memory (LRU), file, redis, or redis-local (in-process Redis stand-in for tests)
+  createStore(backend) {
+    switch (backend) {
+      case 'memory':
+        return new MemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 100 });
+      case 'file':
+        return new FileStore({ directory: process.env.CACHE_DIR });
+      case 'redis':
+        return new RedisStore({ url: process.env.REDIS_URL });
+      case 'redis-local':
+        return new RedisStore({ client: new LocalRedisClient(), local: true });
+      default:
+        throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+    }
+  }
+
+  // Last-known-good copies are only read during an outage, so in a shared LRU they would be the
+  // first entries evicted. The memory backend keeps them in a store of their own, bounded by
+  // STALE_MAX_ENTRIES, which only other stale copies compete for. File and Redis entries aren't
+  // evicted, so those backends keep them alongside the rankings.
+  createStaleStore(backend) {
+    if (backend === 'memory') {
+      return new MemoryStore({ maxEntries: parseInt(process.env.STALE_MAX_ENTRIES) || 1000 });
+    }
+    return this.store;
+  }
+
+  // Per-title TMDB entries (details, seasons, alternative titles) are far more numerous than
+  // rankings; one ?details=full request caches a few per item. The memory backend bounds them
+  // separately with TMDB_CACHE_MAX_ENTRIES so they can't push rankings out of the LRU.
+  createTmdbStore(backend) {
+    if (backend === 'memory') {
+      return new MemoryStore({ maxEntries: parseInt(process.env.TMDB_CACHE_MAX_ENTRIES) || 1000 });
+    }
+    return this.store;
+  }
+
+  // Swap the backend at runtime (mainly for tests)
+  useStore(store, staleStore = store, tmdbStore = store) {
+    this.store = store;
+    this.staleStore = staleStore;
+    this.tmdbStore = tmdbStore;
+  }
+
+  // The store a key lives in: tmdb:* entries in the TMDB store, everything else with the rankings
+  storeFor(key) {
+    return String(key).startsWith('tmdb:') ? this.tmdbStore : this.store;
+  }
+
+  // Distinct stores behind get/set, for listing and clearing across both
+  get stores() {
+    return [...new Set([this.store, this.tmdbStore])];
+  }
+
+  // Rankings are namespaced by platform, e.g. netflix:tv:tv:PH:tmdb or disney:movies:movies:US:raw.
+  // Sources other than FlixPatrol add a suffix: netflix:tv:tv:PH:tmdb:netflix-official
+  buildKey({ platform = DEFAULT_PLATFORM, route, type, country, enriched, source = DEFAULT_SOURCE }) {
+    const key = `${platform}:${route}:${type}:${country}:${enriched ? 'tmdb' : 'raw'}`;
+    return source === DEFAULT_SOURCE ? key : `${key}:${source}`;
+  }
+
+  // Inverse of buildKey; returns null for keys this service didn't build
+  parseKey(key) {
+    const [platform, route, type, country, enrichment, source = DEFAULT_SOURCE, ...rest] = String(key).split(':');
+
+    if (!PLATFORMS[platform] || !route || !type || !country || !['tmdb', 'raw'].includes(enrichment) ||
+        !SOURCES[source] || rest.length > 0) {
+      return null;
+    }
+
+    return { platform, route, type, country, enriched: enrichment === 'tmdb', source };
+  }
+
+  // Last-known-good copies of rankings live under stale:<ranking key> in the stale store
+  staleKey(key) {
+    return `stale:${key}`;
+  }
+
+  // Key prefixes of every platform's rankings, for clearing them without touching TMDB entries
+  get rankingPrefixes() {
+    return Object.keys(PLATFORMS).map(platform => `${platform}:`);
+  }
+
+  // Cached TMDB-enriched rankings of a country, on every platform and source. scrapeTypes narrows
+  // them to rankings of those scrape types ('tv', 'movies', 'both').
+  async enrichedRankingKeys(countryCode, scrapeTypes = null) {
+    const keys = [];
+    for (const prefix of this.rankingPrefixes) {
+      for (const key of await this.keys(prefix)) {
+        const parts = this.parseKey(key);
+        if (parts && parts.enriched && parts.country === countryCode && (!scrapeTypes || scrapeTypes.includes(parts.type))) {
+          keys.push(key);
+        }
+      }
+    }
+    return keys;
+  }
+
+  // Returns the full entry ({ key, value, cachedAt, expiry }) or null on a miss.
+  // Backend failures are logged and treated as misses so a broken cache never breaks a request.
+  async get(key) {
+    return this.readEntry(this.storeFor(key), key);
+  }
+
+  async readEntry(store, key) {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.error(`❌ Cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    return this.writeEntry(this.storeFor(key), key, value, ttl);
+  }
+
+  async writeEntry(store, key, value, ttl) {
+    const entry = {
+      key,
+      value,
+      cachedAt: new Date().toISOString(),
+      expiry: Date.now() + ttl
+    };
+
+    try {
+      await store.set(key, entry);
+    } catch (error) {
+      console.error(`❌ Cache write failed for ${key}:`, error.message);
+    }
+
+    return entry;
+  }
+
+  // Store a ranking along with a long-lived last-known-good copy to fall back on when the upstream is down.
+  // A re-scrape with the same content hash keeps the previous copy's lastModified.
+  async setRanking(key, value, ttl = this.ttl) {
+    const previous = await this.getLastGood(key);
+    if (previous && previous.value.contentHash && previous.value.contentHash === value.contentHash) {
+      value.lastModified = previous.value.lastModified || value.lastModified;
+    }
+
+    const entry = await this.set(key, value, ttl);
+    await this.writeEntry(this.staleStore, this.staleKey(key), value, Math.max(ttl, this.staleTtl));
+    return entry;
+  }
+
+  async getLastGood(key) {
+    return this.readEntry(this.staleStore, this.staleKey(key));
+  }
+
+  async delete(key) {
+    return this.storeFor(key).delete(key);
+  }
+
+  async keys(prefix = '') {
+    const keys = await Promise.all(this.stores.map(store => store.keys(prefix)));
+    return keys.flat();
+  }
+
+  async clear(prefix = '') {
+    const cleared = await Promise.all(this.stores.map(store => store.clear(prefix)));
+    return cleared.reduce((sum, count) => sum + count, 0);
+  }
+
+  async getStats() {
+    let entries = null;
+    try {
+      entries = (await this.keys()).length;
+    } catch (error) {
+      console.error('❌ Cache stats failed:', error.message);
+    }
+
+    return {
+      backend: this.store.name,
+      ttlSeconds: this.ttl / 1000,
+      entries
+    };
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,296 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const SNAPSHOT_TYPES = ['tv', 'movies'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Daily ranking snapshots stored as JSON files: <HISTORY_DIR>/<country>/<type>/<YYYY-MM-DD>.json
+// The last scrape of a day wins, so each file holds that day's final ranking. Weekly rankings
+// (Netflix's official Top 10) are keyed by their week instead, so every scrape of a week lands in one file.
+class HistoryService {
+  constructor(directory = process.env.HISTORY_DIR || './data/history') {
+    this.directory = path.resolve(directory);
+    // Movement only reads snapshots this many days back, so a scrape doesn't get slower as history grows
+    this.lookbackDays = parseInt(process.env.HISTORY_LOOKBACK_DAYS) || 90;
+  }
+
+  // Netflix snapshots scraped from FlixPatrol live at the top of the history directory; other
+  // platforms get their own tree under platforms/<id>/ and other sources under sources/<id>/,
+  // with the same layout
+  forPlatform(platformId, sourceId = 'flixpatrol') {
+    const parts = [];
+    if (platformId && platformId !== 'netflix') parts.push('platforms', platformId);
+    if (sourceId && sourceId !== 'flixpatrol') parts.push('sources', sourceId);
+
+    if (parts.length === 0) return this;
+
+    const history = new HistoryService(path.join(this.directory, ...parts));
+    history.lookbackDays = this.lookbackDays;
+    return history;
+  }
+
+  // Snapshot dates are UTC calendar days
+  toDateKey(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  // A scrape's snapshot key: the week of a weekly ranking, else the UTC day it was scraped
+  snapshotDate(result) {
+    return result.week || this.toDateKey(result.scrapedAt);
+  }
+
+  isDateKey(value) {
+    return DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+  }
+
+  snapshotDir(countryCode, type) {
+    return path.join(this.directory, countryCode, type);
+  }
+
+  snapshotPath(countryCode, type, date) {
+    return path.join(this.snapshotDir(countryCode, type), `${date}.json`);
+  }
+
+  categoryFor(type) {
+    return type === 'tv' ? 'TV Show' : 'Movie';
+  }
+
+  // Snapshot types covered by a scrape of the given type ('both' covers tv and movies)
+  typesFor(scrapeType) {
+    return SNAPSHOT_TYPES.filter(type => scrapeType === type || scrapeType === 'both');
+  }
+
+  normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // Prefer TMDB IDs when both sides have one, then FlixPatrol slugs, then the title text
+  sameTitle(a, b) {
+    if (a.tmdb_id && b.tmdb_id) return String(a.tmdb_id) === String(b.tmdb_id);
+    if (a.flixpatrolSlug && b.flixpatrolSlug) return a.flixpatrolSlug === b.flixpatrolSlug;
+    return this.normalizeTitle(a.title) === this.normalizeTitle(b.title);
+  }
+
+  // Annotate a scrape with movement against the previous stored snapshot (an earlier day, or an
+  // earlier week for weekly rankings). Each item gets previousRank, rankChange (positive = moved up),
+  // isNew, daysInTop10 (weeksInTop10 for weekly rankings) and peakRank; titles from the previous
+  // snapshot missing from this one are returned in droppedOut. Only snapshots from the last
+  // lookbackDays days count, so the day counts and peak ranks are for that window.
+  async annotateScrape(result) {
+    const date = this.snapshotDate(result);
+    const period = result.week ? 'week' : 'day';
+    const data = [];
+    const droppedOut = [];
+    const comparedTo = {};
+
+    for (const type of this.typesFor(result.type)) {
+      const items = result.data.filter(item => item.category === this.categoryFor(type));
+      const movement = await this.annotateMovement(result.countryCode, type, items, date, period);
+
+      data.push(...movement.items);
+      droppedOut.push(...movement.droppedOut);
+      comparedTo[type] = movement.previousDate;
+    }
+
+    return { data, droppedOut, comparedTo };
+  }
+
+  async annotateMovement(countryCode, type, items, date, period = 'day') {
+    const since = this.toDateKey(new Date(date).getTime() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const dates = (await this.listDates(countryCode, type)).filter(d => d >= since && d < date);
+    const snapshots = [];
+    for (const d of dates) {
+      const snapshot = await this.getSnapshot(countryCode, type, d);
+      if (snapshot) snapshots.push(snapshot);
+    }
+
+    const previous = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+
+    const annotated = items.map(item => {
+      const previousItem = previous ? previous.items.find(p => this.sameTitle(p, item)) : null;
+      const pastRanks = snapshots
+        .map(snapshot => snapshot.items.find(p => this.sameTitle(p, item)))
+        .filter(Boolean)
+        .map(p => p.rank);
+
+      return {
+        ...item,
+        previousRank: previousItem ? previousItem.rank : null,
+        rankChange: previousItem ? previousItem.rank - item.rank : null,
+        // Without an earlier snapshot we can't tell whether a title is new
+        isNew: previous ? !previousItem : null,
+        // Weekly sources may already report their own (all-time) count of weeks, which wins
+        ...(period === 'week'
+          ? { weeksInTop10: item.weeksInTop10 ?? pastRanks.length + 1 }
+          : { daysInTop10: pastRanks.length + 1 }),
+        peakRank: Math.min(item.rank, ...pastRanks)
+      };
+    });
+
+    const droppedOut = previous
+      ? previous.items
+        .filter(p => !items.some(item => this.sameTitle(p, item)))
+        .map(({ rank, previousRank, rankChange, isNew, ...rest }) => ({
+          ...rest,
+          previousRank: rank,
+          lastSeen: previous.date
+        }))
+      : [];
+
+    return { items: annotated, droppedOut, previousDate: previous ? previous.date : null };
+  }
+
+  // Split a scrapeNetflixTop10 result into per-type snapshots and persist them
+  async saveScrape(result) {
+    const date = this.snapshotDate(result);
+    const saved = [];
+
+    for (const type of this.typesFor(result.type)) {
+      const items = result.data.filter(item => item.category === this.categoryFor(type));
+      if (items.length === 0) continue;
+
+      const snapshot = {
+        date,
+        countryCode: result.countryCode,
+        country: result.country,
+        type,
+        scrapedAt: result.scrapedAt,
+        enrichedWithTMDB: result.enrichedWithTMDB,
+        items
+      };
+
+      if (await this.saveSnapshot(snapshot)) {
+        saved.push(snapshot);
+      }
+    }
+
+    return saved;
+  }
+
+  async saveSnapshot(snapshot) {
+    const existing = await this.getSnapshot(snapshot.countryCode, snapshot.type, snapshot.date);
+
+    // Don't let a later un-enriched scrape wipe the TMDB IDs recorded earlier that day
+    if (existing && existing.enrichedWithTMDB && !snapshot.enrichedWithTMDB) {
+      console.log(`⏭️ Keeping enriched ${snapshot.countryCode}/${snapshot.type} snapshot for ${snapshot.date}`);
+      return false;
+    }
+
+    const target = this.snapshotPath(snapshot.countryCode, snapshot.type, snapshot.date);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    // Write to a temp file first so readers never see a half-written snapshot
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(snapshot, null, 2));
+    await fs.rename(tempFile, target);
+
+    console.log(`💾 Saved ${snapshot.countryCode}/${snapshot.type} snapshot for ${snapshot.date}`);
+    return true;
+  }
+
+  async getSnapshot(countryCode, type, date) {
+    try {
+      return JSON.parse(await fs.readFile(this.snapshotPath(countryCode, type, date), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Sorted ascending list of dates that have a snapshot
+  async listDates(countryCode, type) {
+    let files;
+    try {
+      files = await fs.readdir(this.snapshotDir(countryCode, type));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(date => this.isDateKey(date))
+      .sort();
+  }
+
+  // Most recent snapshot on or before the given date
+  async getLatestSnapshot(countryCode, type, onOrBefore = null) {
+    const dates = await this.listDates(countryCode, type);
+    const candidates = onOrBefore ? dates.filter(date => date <= onOrBefore) : dates;
+
+    if (candidates.length === 0) return null;
+    return this.getSnapshot(countryCode, type, candidates[candidates.length - 1]);
+  }
+
+  async listCountries() {
+    try {
+      const entries = await fs.readdir(this.directory, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory() && /^[A-Z]{2}$/.test(entry.name)).map(entry => entry.name).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Every day a TMDB title appeared in a stored ranking, optionally narrowed to one country/type
+  // titleId is a TMDB ID, or a FlixPatrol slug for titles without a TMDB match
+  async getTitleHistory(titleId, { countryCode = null, type = null } = {}) {
+    const bySlug = !/^\d+$/.test(String(titleId));
+    const isTitle = (item) => bySlug ? item.flixpatrolSlug === titleId : String(item.tmdb_id) === String(titleId);
+    const countries = countryCode ? [countryCode] : await this.listCountries();
+    const types = type ? [type] : SNAPSHOT_TYPES;
+    const appearances = [];
+    let title = null;
+    let tmdbId = bySlug ? null : String(titleId);
+    let flixpatrolSlug = bySlug ? titleId : null;
+
+    for (const country of countries) {
+      for (const snapshotType of types) {
+        for (const date of await this.listDates(country, snapshotType)) {
+          const snapshot = await this.getSnapshot(country, snapshotType, date);
+          const item = snapshot && snapshot.items.find(isTitle);
+
+          if (item) {
+            title = title || item.tmdb_title || item.title;
+            tmdbId = tmdbId || (item.tmdb_id ? String(item.tmdb_id) : null);
+            flixpatrolSlug = flixpatrolSlug || item.flixpatrolSlug || null;
+            appearances.push({
+              date,
+              countryCode: country,
+              type: snapshotType,
+              rank: item.rank,
+              title: item.title
+            });
+          }
+        }
+      }
+    }
+
+    appearances.sort((a, b) => a.date.localeCompare(b.date) || a.countryCode.localeCompare(b.countryCode));
+
+    // Per-country rollup: days charted and best rank reached
+    const byCountry = {};
+    for (const appearance of appearances) {
+      const stats = byCountry[appearance.countryCode] || { days: 0, peakRank: null, firstSeen: appearance.date, lastSeen: null };
+      stats.days++;
+      stats.peakRank = stats.peakRank === null ? appearance.rank : Math.min(stats.peakRank, appearance.rank);
+      stats.lastSeen = appearance.date;
+      byCountry[appearance.countryCode] = stats;
+    }
+
+    return {
+      tmdbId,
+      flixpatrolSlug,
+      title,
+      daysInTop10: new Set(appearances.map(a => a.date)).size,
+      peakRank: appearances.length > 0 ? Math.min(...appearances.map(a => a.rank)) : null,
+      firstSeen: appearances.length > 0 ? appearances[0].date : null,
+      lastSeen: appearances.length > 0 ? appearances[appearances.length - 1].date : null,
+      countries: byCountry,
+      appearances
+    };
+  }
+}
+
+module.exports = new HistoryService();
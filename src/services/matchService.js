@@ -0,0 +1,89 @@
+const path = require('path');
+const JsonFile = require('../utils/jsonFile');
+
+// Remembers which TMDB title each Netflix title resolved to, per country and media type,
+// so repeat titles skip the search. Admin overrides (a pinned ID or "no match") win over search results.
+// Stored as one JSON file (MATCH_STORE_FILE), loaded once and rewritten on every change.
+class MatchService {
+  constructor() {
+    this.file = path.resolve(process.env.MATCH_STORE_FILE || './data/tmdb-matches.json');
+    this.matches = null;
+    this.store = new JsonFile('match store');
+  }
+
+  normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  buildKey(title, countryCode, mediaType) {
+    return `${countryCode}:${mediaType}:${this.normalizeTitle(title)}`;
+  }
+
+  async load() {
+    if (this.matches) return this.matches;
+
+    const stored = await this.store.read(this.file);
+    this.matches = new Map(Object.entries(stored || {}));
+    return this.matches;
+  }
+
+  persist() {
+    return this.store.write(this.file, Object.fromEntries(this.matches));
+  }
+
+  async get(title, countryCode, mediaType) {
+    const matches = await this.load();
+    return matches.get(this.buildKey(title, countryCode, mediaType)) || null;
+  }
+
+  async list({ countryCode = null, mediaType = null, status = null } = {}) {
+    const matches = await this.load();
+    return [...matches.values()]
+      .filter(entry => !countryCode || entry.countryCode === countryCode)
+      .filter(entry => !mediaType || entry.mediaType === mediaType)
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async set(title, countryCode, mediaType, fields) {
+    const matches = await this.load();
+    const key = this.buildKey(title, countryCode, mediaType);
+    const entry = {
+      key,
+      title: this.normalizeTitle(title),
+      countryCode,
+      mediaType,
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+
+    matches.set(key, entry);
+    await this.persist();
+    return entry;
+  }
+
+  // Remember a search result, unless an admin override already covers this title
+  async saveSearchMatch(title, countryCode, mediaType, match) {
+    const existing = await this.get(title, countryCode, mediaType);
+    if (existing && existing.source === 'override') return existing;
+
+    return this.set(title, countryCode, mediaType, { status: 'matched', source: 'search', match });
+  }
+
+  async pin(title, countryCode, mediaType, match) {
+    return this.set(title, countryCode, mediaType, { status: 'matched', source: 'override', match });
+  }
+
+  async markNoMatch(title, countryCode, mediaType) {
+    return this.set(title, countryCode, mediaType, { status: 'no_match', source: 'override', match: null });
+  }
+
+  async delete(title, countryCode, mediaType) {
+    const matches = await this.load();
+    const deleted = matches.delete(this.buildKey(title, countryCode, mediaType));
+    if (deleted) await this.persist();
+    return deleted;
+  }
+}
+
+module.exports = new MatchService();
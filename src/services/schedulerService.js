@@ -0,0 +1,238 @@
+const scraperService = require('./scraperService');
+const cacheService = require('./cacheService');
+const { DEFAULT_COUNTRY } = require('../config/countries');
+const { parseCron, nextRun } = require('../utils/cron');
+const { hashContent } = require('../utils/httpCache');
+
+const SCHEDULE_TYPES = ['tv', 'movies'];
+// setTimeout overflows past ~24.8 days; longer waits are split into chunks
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Background scraper: refreshes every configured country on a cron schedule and
+// writes the results into the shared cache, so HTTP handlers never wait on a scrape.
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.schedule = null;
+    this.nextRunAt = null;
+    this.timer = null;
+    this.started = false;
+  }
+
+  // Read SCRAPE_SCHEDULE, SCRAPE_COUNTRIES and SCRAPE_TYPES and build one job per country
+  configure(options = {}) {
+    const expression = options.schedule || process.env.SCRAPE_SCHEDULE || '0 * * * *';
+    const countries = options.countries || (process.env.SCRAPE_COUNTRIES || DEFAULT_COUNTRY).split(',');
+    const types = options.types || (process.env.SCRAPE_TYPES || SCHEDULE_TYPES.join(',')).split(',');
+
+    this.schedule = parseCron(expression);
+    this.jobs.clear();
+
+    const scheduledTypes = types.map(type => type.trim().toLowerCase()).filter(type => SCHEDULE_TYPES.includes(type));
+    if (scheduledTypes.length === 0) {
+      throw new Error(`SCRAPE_TYPES must include at least one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    for (const code of countries) {
+      // Throws a ValidationError for unknown codes so misconfiguration fails at startup
+      const country = scraperService.resolveCountry(code.trim());
+      const id = `netflix:${country.code}`;
+
+      this.jobs.set(id, {
+        id,
+        countryCode: country.code,
+        types: scheduledTypes,
+        running: false,
+        lastRunAt: null,
+        lastSuccessAt: null,
+        lastDurationMs: null,
+        lastError: null,
+        run: null
+      });
+    }
+
+    return this;
+  }
+
+  isEnabled() {
+    return process.env.SCHEDULER_ENABLED !== 'false';
+  }
+
+  start() {
+    if (this.started) return this;
+    if (!this.schedule) {
+      this.configure();
+    }
+
+    this.started = true;
+    console.log(`⏰ Scheduler started (${this.schedule.expression}) for ${[...this.jobs.keys()].join(', ')}`);
+
+    // Warm the cache right away unless disabled, then follow the schedule
+    if (process.env.SCRAPE_ON_START !== 'false') {
+      this.runAll();
+    }
+    this.scheduleNext();
+
+    return this;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+    this.started = false;
+  }
+
+  scheduleNext() {
+    this.nextRunAt = nextRun(this.schedule);
+    if (!this.nextRunAt) {
+      console.warn(`⚠️ Cron expression "${this.schedule.expression}" never fires; scheduler idle`);
+      return;
+    }
+
+    const arm = () => {
+      const delay = this.nextRunAt.getTime() - Date.now();
+      if (delay > MAX_TIMER_DELAY) {
+        this.timer = setTimeout(arm, MAX_TIMER_DELAY);
+      } else {
+        this.timer = setTimeout(async () => {
+          await this.runAll();
+          if (this.started) this.scheduleNext();
+        }, Math.max(delay, 0));
+      }
+      // Don't keep the process alive just for the scheduler
+      this.timer.unref();
+    };
+
+    arm();
+  }
+
+  // Jobs run one after another to stay polite to FlixPatrol and TMDB
+  async runAll() {
+    for (const job of this.jobs.values()) {
+      await this.runJob(job);
+    }
+  }
+
+  // Run a job, or join the run already in progress. Never rejects; failures are recorded on the job.
+  runJob(job) {
+    if (!job.run) {
+      job.run = this.executeJob(job).finally(() => {
+        job.run = null;
+      });
+    }
+    return job.run;
+  }
+
+  async executeJob(job) {
+    job.running = true;
+    job.lastRunAt = new Date().toISOString();
+    const startedAt = Date.now();
+
+    try {
+      // One scrape covers every configured type; per-type results are derived from it
+      const scrapeType = job.types.length > 1 ? 'both' : job.types[0];
+      const result = await scraperService.scrapeNetflixTop10(scrapeType, true, job.countryCode);
+
+      // Keep entries alive until the following run has had a chance to replace them
+      const upcoming = nextRun(this.schedule);
+      const ttl = upcoming ? upcoming.getTime() - Date.now() + cacheService.ttl : cacheService.ttl;
+
+      for (const { route, type, value } of this.splitResult(result)) {
+        const key = cacheService.buildKey({ route, type, country: job.countryCode, enriched: true });
+        await cacheService.setRanking(key, value, ttl);
+      }
+
+      job.lastSuccessAt = new Date().toISOString();
+      job.lastError = null;
+      console.log(`✅ Scheduled refresh of ${job.id} done (${result.count} items)`);
+    } catch (error) {
+      job.lastError = { message: error.message, at: new Date().toISOString() };
+      console.error(`❌ Scheduled refresh of ${job.id} failed:`, error.message);
+    } finally {
+      job.lastDurationMs = Date.now() - startedAt;
+      job.running = false;
+    }
+  }
+
+  // Break a scrape into the cache entries the HTTP routes read: top10 (both), tv and movies
+  splitResult(result) {
+    const entries = [];
+
+    if (result.type === 'both') {
+      entries.push({ route: 'top10', type: 'both', value: result });
+    }
+
+    for (const type of SCHEDULE_TYPES) {
+      if (result.type !== type && result.type !== 'both') continue;
+
+      const category = type === 'tv' ? 'TV Show' : 'Movie';
+      const data = result.data.filter(item => item.category === category);
+      const value = {
+        ...result,
+        data,
+        count: data.length,
+        type,
+        contentHash: hashContent(data)
+      };
+
+      if (result.droppedOut) {
+        value.droppedOut = result.droppedOut.filter(item => item.category === category);
+      }
+      if (result.comparedTo) {
+        value.comparedTo = { [type]: result.comparedTo[type] };
+      }
+      if (result.diagnostics) {
+        value.diagnostics = {
+          ...result.diagnostics,
+          sections: result.diagnostics.sections.filter(section => section.type === type)
+        };
+      }
+
+      entries.push({ route: type, type, value });
+    }
+
+    return entries;
+  }
+
+  // Whether a ranking is owned by the scheduler (and so must be served from cache only).
+  // Only Netflix rankings scraped from FlixPatrol are scheduled.
+  isScheduled({ platform = 'netflix', route, country, enriched, source = 'flixpatrol' }) {
+    if (!this.started || !enriched || platform !== 'netflix' || source !== 'flixpatrol') return false;
+
+    const job = this.jobs.get(`netflix:${country}`);
+    if (!job) return false;
+
+    return route === 'top10' ? job.types.length === SCHEDULE_TYPES.length : job.types.includes(route);
+  }
+
+  // Run a country's job now, e.g. when a request finds its cache entry missing; resolves once
+  // the run (or the one already in progress) has finished
+  async triggerJob(country) {
+    const job = this.jobs.get(`netflix:${country}`);
+    if (job) {
+      await this.runJob(job);
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.started,
+      schedule: this.schedule ? this.schedule.expression : null,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+      jobs: [...this.jobs.values()].map(job => ({
+        id: job.id,
+        countryCode: job.countryCode,
+        types: job.types,
+        running: job.running,
+        lastRunAt: job.lastRunAt,
+        lastSuccessAt: job.lastSuccessAt,
+        lastDurationMs: job.lastDurationMs,
+        nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+        lastError: job.lastError
+      }))
+    };
+  }
+}
+
+module.exports = new SchedulerService();
@@ -1,40 +1,163 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const { COUNTRIES, DEFAULT_COUNTRY } = require('../config/countries');
+const { PLATFORMS, DEFAULT_PLATFORM } = require('../config/platforms');
+const { SOURCES, DEFAULT_SOURCE } = require('../config/sources');
+const { ValidationError, ParseDegradedError } = require('../utils/errors');
+const historyService = require('./historyService');
+const webhookService = require('./webhookService');
+const streamService = require('./streamService');
+const tmdbClient = require('./tmdbClient');
+const pageFetcher = require('./pageFetcher');
+const cacheService = require('./cacheService');
+const matchService = require('./matchService');
+const { mapWithConcurrency } = require('../utils/workerPool');
+const { loadScoringConfig, rulesForCountry } = require('../config/matchScoring');
+const { compareTitles } = require('../utils/titleMatching');
+const { parseSeasonInfo } = require('../utils/seasonParser');
+const { hashContent } = require('../utils/httpCache');
+const FlixPatrolSource = require('./sources/flixpatrolSource');
+const NetflixOfficialSource = require('./sources/netflixOfficialSource');
+
+// How far each parse strategy is trusted; reported per item as `confidence`
+const PARSE_CONFIDENCE = {
+  table: 1.0, // rows under the section's own header
+  tableContainer: 0.8, // rows found by searching the header's parent containers
+  tableUnanchored: 0.5, // header missing, first title links on the page
+  section: 0.6,
+  text: 0.4,
+  fillMissing: 0.1 // rank guessed from leftover links
+};
 
 class ScraperService {
   constructor() {
     this.baseURL = process.env.TARGET_URL;
-    this.userAgent = process.env.USER_AGENT;
+    this.flixpatrolBaseUrl = process.env.FLIXPATROL_BASE_URL || 'https://flixpatrol.com';
+    this.pageFetcher = pageFetcher;
     this.delay = parseInt(process.env.RATE_LIMIT_DELAY) || 1000;
-    this.tmdbApiKey = process.env.TMDB_API_KEY;
-    this.tmdbBaseUrl = 'https://api.themoviedb.org/3';
+    this.tmdbClient = tmdbClient;
+    // TMDB pacing lives in tmdbClient's token bucket; this only bounds how many lookups run at once
+    this.tmdbConcurrency = parseInt(process.env.TMDB_CONCURRENCY) || 4;
+    this.inFlight = new Map();
+    this.matchScoring = loadScoringConfig();
+    // How many top candidates get their alternative titles checked when no title matches exactly (0 disables)
+    this.tmdbAltTitleCandidates = process.env.TMDB_ALT_TITLE_CANDIDATES !== undefined
+      ? parseInt(process.env.TMDB_ALT_TITLE_CANDIDATES) || 0
+      : 3;
+    this.tmdbImageBaseUrl = process.env.TMDB_IMAGE_BASE_URL || 'https://image.tmdb.org/t/p';
+    this.tmdbCastLimit = parseInt(process.env.TMDB_CAST_LIMIT) || 5;
+    this.tmdbDetailsTtl = (parseInt(process.env.TMDB_DETAILS_TTL_SECONDS) || 24 * 60 * 60) * 1000; // 1 day by default
+    // Share of guessed (fill-missing) ranks above which a section counts as degraded; 0 allows no guesses
+    const maxGuessedRatio = parseFloat(process.env.PARSE_MAX_GUESSED_RATIO);
+    this.maxGuessedRatio = Number.isFinite(maxGuessedRatio) ? maxGuessedRatio : 0.5;
+    // Source adapters, keyed like SOURCES. Each resolves fetchRanking({ platform, country, type })
+    // with { data, bytes, fetchMs, parseMs } and optionally the ranking's `week`.
+    this.sources = {
+      flixpatrol: new FlixPatrolSource(this),
+      'netflix-official': new NetflixOfficialSource({
+        file: process.env.NETFLIX_TOP10_FILE,
+        globalFile: process.env.NETFLIX_TOP10_GLOBAL_FILE
+      })
+    };
     
-    if (!this.tmdbApiKey) {
+    if (!this.tmdbClient.isConfigured()) {
       console.warn('⚠️ TMDB_API_KEY not found in environment variables. TMDB integration will be disabled.');
     }
   }
 
-  async fetchPage() {
-    try {
-      const response = await axios.get(this.baseURL, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-        },
-        timeout: 10000
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to fetch page: ${error.message}`);
+  resolvePlatform(platformId = DEFAULT_PLATFORM) {
+    const platform = PLATFORMS[String(platformId || '').toLowerCase()];
+
+    if (!platform) {
+      throw new ValidationError(`Unsupported platform: ${platformId}. Supported: ${Object.keys(PLATFORMS).join(', ')}`);
+    }
+
+    return platform;
+  }
+
+  resolveSource(sourceId = DEFAULT_SOURCE, platformId = DEFAULT_PLATFORM) {
+    const id = String(sourceId || '').toLowerCase();
+    const source = SOURCES[id];
+    const platform = this.resolvePlatform(platformId);
+
+    if (!source) {
+      throw new ValidationError(`Unsupported source: ${sourceId}. Supported: ${Object.keys(SOURCES).join(', ')}`);
     }
+    if (source.platforms && !source.platforms.includes(platform.id)) {
+      throw new ValidationError(`${source.name} has no data for ${platform.name}. Supported platforms: ${source.platforms.join(', ')}`);
+    }
+
+    return { id, name: source.name, adapter: this.sources[id] };
+  }
+
+  // Resolve an ISO country code to its display name and the platform's FlixPatrol page
+  resolveCountry(countryCode = DEFAULT_COUNTRY, platformId = DEFAULT_PLATFORM) {
+    const code = String(countryCode || '').toUpperCase();
+    const country = COUNTRIES[code];
+    const platform = this.resolvePlatform(platformId);
+
+    if (!country) {
+      throw new ValidationError(`Unsupported country code: ${countryCode}. Supported: ${Object.keys(COUNTRIES).join(', ')}`);
+    }
+    if (!platform.countries.includes(code)) {
+      throw new ValidationError(`${platform.name} has no top 10 for ${code}. Supported: ${platform.countries.join(', ')}`);
+    }
+
+    // TARGET_URL still overrides the Netflix page for the default country
+    const url = code === DEFAULT_COUNTRY && this.baseURL && platform.id === DEFAULT_PLATFORM
+      ? this.baseURL
+      : `${this.flixpatrolBaseUrl}/top10/${platform.slug}/${country.slug}/`;
+
+    return { code, name: country.name, url };
+  }
+
+  // Retries, proxy, User-Agent rotation and the circuit breaker live in pageFetcher
+  async fetchPage(url = this.baseURL) {
+    return this.pageFetcher.get(url);
+  }
+
+  // Share one in-flight promise between concurrent callers asking for the same thing
+  dedupe(key, task) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = task().finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
   }
 
   // TheMovieDB integration methods - Simplified for ID only
-  async searchTMDB(title, mediaType = 'multi', countryCode = 'PH') {
-    if (!this.tmdbApiKey) {
+  async searchTMDB(title, mediaType = 'multi', countryCode = DEFAULT_COUNTRY) {
+    return this.dedupe(`search:${mediaType}:${countryCode}:${title}`, () => this.runTMDBSearch(title, mediaType, countryCode));
+  }
+
+  async runTMDBSearch(title, mediaType, countryCode) {
+    const found = await this.searchTMDBCandidates(title, mediaType, countryCode);
+    if (!found) return null;
+
+    const bestMatch = found.candidates[0];
+    console.log(`✅ Found TMDB ID: ${bestMatch.id} for "${bestMatch.title || bestMatch.name}" (${bestMatch.release_date || bestMatch.first_air_date})`);
+
+    // Return only the ID and basic info for speed
+    return {
+      ...this.toTMDBMatch(bestMatch, mediaType),
+      search_strategy_used: found.strategy
+    };
+  }
+
+  toTMDBMatch(result, mediaType) {
+    return {
+      tmdb_id: result.id,
+      tmdb_title: result.title || result.name,
+      tmdb_release_date: result.release_date || result.first_air_date,
+      tmdb_media_type: result.media_type || mediaType
+    };
+  }
+
+  // Run the search strategies in order until one returns results.
+  // Resolves with { strategy, query, region, candidates } where candidates are scored best first, or null.
+  async searchTMDBCandidates(title, mediaType, countryCode) {
+    if (!this.tmdbClient.isConfigured()) {
       console.warn('⚠️ TMDB API key not available, skipping TMDB search');
       return null;
     }
@@ -61,7 +184,6 @@ class ScraperService {
         
         try {
           const searchParams = {
-            api_key: this.tmdbApiKey,
             query: strategy.query,
             language: 'en-US',
             page: 1,
@@ -72,34 +194,30 @@ class ScraperService {
             searchParams.region = strategy.region;
           }
 
-          const response = await axios.get(`${this.tmdbBaseUrl}/search/${mediaType}`, {
-            params: searchParams,
-            timeout: 5000
-          });
+          const response = await this.tmdbClient.search(mediaType, searchParams);
+
+          if (response.results && response.results.length > 0) {
+            // Rank the results using improved logic
+            let candidates = this.scoreCandidates(response.results, title, countryCode, mediaType);
 
-          if (response.data.results && response.data.results.length > 0) {
-            // Find the best match using improved logic
-            const bestMatch = this.findBestMatch(response.data.results, title, countryCode, mediaType);
+            // Localized Netflix titles often only match one of TMDB's alternative titles
+            if (candidates.length > 0 && candidates[0].title_match.kind !== 'exact' && this.tmdbAltTitleCandidates > 0) {
+              const results = await this.withAlternativeTitles(response.results, candidates.slice(0, this.tmdbAltTitleCandidates), mediaType);
+              candidates = this.scoreCandidates(results, title, countryCode, mediaType);
+            }
             
-            if (bestMatch) {
-              console.log(`✅ Found TMDB ID: ${bestMatch.id} for "${bestMatch.title || bestMatch.name}" (${bestMatch.release_date || bestMatch.first_air_date})`);
-              
-              // Return only the ID and basic info for speed
+            if (candidates.length > 0) {
               return {
-                tmdb_id: bestMatch.id,
-                tmdb_title: bestMatch.title || bestMatch.name,
-                tmdb_release_date: bestMatch.release_date || bestMatch.first_air_date,
-                tmdb_media_type: bestMatch.media_type || mediaType,
-                search_strategy_used: i + 1
+                strategy: i + 1,
+                query: strategy.query,
+                region: strategy.region || null,
+                candidates
               };
             }
           }
         } catch (strategyError) {
           console.error(`❌ Strategy ${i + 1} failed:`, strategyError.message);
         }
-        
-        // Small delay between strategies
-        await this.wait(100);
       }
 
       console.log(`❌ No TMDB match found for: "${title}"`);
@@ -110,9 +228,51 @@ class ScraperService {
     }
   }
 
+  // Attach alternative_titles to the given top candidates among the search results
+  async withAlternativeTitles(results, candidates, mediaType) {
+    const titlesById = new Map();
+
+    await Promise.all(candidates.map(async (candidate) => {
+      const candidateType = candidate.media_type || mediaType;
+      if (!['movie', 'tv'].includes(candidateType)) return;
+
+      try {
+        titlesById.set(candidate.id, await this.getTMDBAlternativeTitles(candidate.id, candidateType));
+      } catch (error) {
+        console.error(`❌ TMDB alternative titles failed for ${candidateType} ${candidate.id}:`, error.message);
+      }
+    }));
+
+    return results.map(result => titlesById.has(result.id)
+      ? { ...result, alternative_titles: titlesById.get(result.id) }
+      : result);
+  }
+
+  // Alternative titles rarely change, so they are cached per title like full details
+  async getTMDBAlternativeTitles(tmdbId, mediaType) {
+    return this.dedupe(`alternative_titles:${mediaType}:${tmdbId}`, async () => {
+      const cacheKey = `tmdb:alternative_titles:${mediaType}:${tmdbId}`;
+      const cachedEntry = await cacheService.get(cacheKey);
+      if (cachedEntry) return cachedEntry.value;
+
+      const response = await this.tmdbClient.getAlternativeTitles(mediaType, tmdbId);
+      // Movies list them under "titles", TV shows under "results"
+      const titles = [...new Set((response.titles || response.results || []).map(entry => entry.title).filter(Boolean))];
+
+      await cacheService.set(cacheKey, titles, this.tmdbDetailsTtl);
+      return titles;
+    });
+  }
+
   // Improved logic to find the best match
   findBestMatch(results, originalTitle, countryCode, mediaType) {
-    if (!results || results.length === 0) return null;
+    const scoredResults = this.scoreCandidates(results, originalTitle, countryCode, mediaType);
+    return scoredResults.length > 0 ? scoredResults[0] : null;
+  }
+
+  // Score every result against the scraped title, best first
+  scoreCandidates(results, originalTitle, countryCode, mediaType) {
+    if (!results || results.length === 0) return [];
 
     // Filter results by media type if specified
     let filteredResults = results;
@@ -123,53 +283,45 @@ class ScraperService {
       }
     }
 
-    // Scoring system for better matching
+    const rules = rulesForCountry(this.matchScoring, countryCode);
+    const currentYear = new Date().getFullYear();
+
+    // Scoring system for better matching; each rule's contribution is kept in score_components
     const scoredResults = filteredResults.map(result => {
-      let score = 0;
-      const resultTitle = (result.title || result.name || '').toLowerCase();
-      const cleanOriginalTitle = originalTitle.toLowerCase().replace(/[^\w\s]/g, '');
-      const cleanResultTitle = resultTitle.replace(/[^\w\s]/g, '');
-
-      // Title similarity (most important factor)
-      if (cleanResultTitle === cleanOriginalTitle) {
-        score += 100; // Exact match
-      } else if (cleanResultTitle.includes(cleanOriginalTitle) || cleanOriginalTitle.includes(cleanResultTitle)) {
-        score += 80; // Partial match
-      } else {
-        // Calculate similarity score
-        const similarity = this.calculateStringSimilarity(cleanOriginalTitle, cleanResultTitle);
-        score += similarity * 60;
-      }
+      const components = {};
+
+      // Title similarity (most important factor), against the best of the localized,
+      // original and alternative titles
+      const titleMatch = this.matchTitle(originalTitle, result, rules.title);
+      components.title = titleMatch.points;
 
-      // Release date preference
+      // Release date preference, e.g. recent local adaptations in the Philippines
       const releaseYear = new Date(result.release_date || result.first_air_date || '1900').getFullYear();
-      const currentYear = new Date().getFullYear();
-      
-      // For Philippines, prefer recent releases (likely adaptations)
-      if (countryCode === 'PH') {
-        if (releaseYear >= currentYear - 2) score += 30; // Very recent
-        else if (releaseYear >= currentYear - 5) score += 20; // Recent
-        else if (releaseYear >= 2010) score += 10; // Modern
-      } else {
-        // For other regions, prefer established content
-        if (releaseYear >= 2000 && releaseYear <= currentYear - 1) score += 20;
-      }
+      const recencyTier = this.findRecencyTier(rules.recency, releaseYear, currentYear);
+      components.recency = recencyTier ? recencyTier.points : 0;
 
       // Regional content boost
-      if (result.origin_country && result.origin_country.includes(countryCode)) {
-        score += 25;
-      }
+      components.regionalOrigin = result.origin_country && result.origin_country.includes(countryCode)
+        ? rules.regionalOrigin
+        : 0;
 
       // Popularity and rating as tiebreakers
-      score += Math.min((result.popularity || 0) * 0.1, 10);
-      score += Math.min((result.vote_average || 0) * 2, 20);
+      components.popularity = Math.min((result.popularity || 0) * rules.popularity.factor, rules.popularity.max);
+      components.voteAverage = Math.min((result.vote_average || 0) * rules.voteAverage.factor, rules.voteAverage.max);
 
       // Penalize very old content unless it's a classic
-      if (releaseYear < 1990 && (result.vote_average || 0) < 7) {
-        score -= 20;
-      }
+      const penalty = rules.oldTitlePenalty;
+      components.oldTitlePenalty = releaseYear < penalty.beforeYear && (result.vote_average || 0) < penalty.unlessVoteAtLeast
+        ? -penalty.points
+        : 0;
 
-      return { ...result, similarity_score: score };
+      const score = Object.values(components).reduce((sum, points) => sum + points, 0);
+      return {
+        ...result,
+        similarity_score: score,
+        score_components: components,
+        title_match: { field: titleMatch.field, title: titleMatch.title, kind: titleMatch.kind }
+      };
     });
 
     // Sort by score and return the best match
@@ -181,47 +333,51 @@ class ScraperService {
       console.log(`   ${index + 1}. "${result.title || result.name}" (${result.release_date || result.first_air_date}) - Score: ${result.similarity_score.toFixed(1)}`);
     });
 
-    return scoredResults[0];
+    return scoredResults;
   }
 
-  // Calculate string similarity (simple algorithm)
-  calculateStringSimilarity(str1, str2) {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 1.0;
-    
-    const editDistance = this.levenshteinDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+  // First recency tier the release year falls into, or null
+  findRecencyTier(tiers, releaseYear, currentYear) {
+    const age = currentYear - releaseYear;
+
+    return (tiers || []).find(tier =>
+      (tier.minYear === undefined || releaseYear >= tier.minYear) &&
+      (tier.maxYear === undefined || releaseYear <= tier.maxYear) &&
+      (tier.minAge === undefined || age >= tier.minAge) &&
+      (tier.maxAge === undefined || age <= tier.maxAge)
+    ) || null;
   }
 
-  // Levenshtein distance for string similarity
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
+  // Every title a TMDB result can be matched on, most specific first
+  titleTargets(result) {
+    const targets = [
+      { field: 'title', title: result.title || result.name },
+      { field: 'original_title', title: result.original_title || result.original_name }
+    ];
+
+    for (const title of result.alternative_titles || []) {
+      targets.push({ field: 'alternative_title', title });
     }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
+
+    return targets.filter(target => target.title);
+  }
+
+  // Score the scraped title against each target and keep the highest
+  matchTitle(originalTitle, result, weights) {
+    let best = { field: null, title: null, kind: 'similar', points: 0 };
+
+    for (const target of this.titleTargets(result)) {
+      const { kind, similarity } = compareTitles(originalTitle, target.title);
+      const points = kind === 'exact' ? weights.exact
+        : kind === 'partial' ? weights.partial
+        : similarity * weights.similarity;
+
+      if (best.field === null || points > best.points) {
+        best = { ...target, kind, points };
       }
     }
-    
-    return matrix[str2.length][str1.length];
+
+    return best;
   }
 
   // Remove country-specific indicators for cleaner search
@@ -244,41 +400,181 @@ class ScraperService {
       .trim();
   }
 
-  async enrichWithTMDB(items, countryCode = 'PH') {
-    if (!this.tmdbApiKey) {
+  // TMDB lists a show once, so seasons, parts and volumes ("Money Heist: Part 5") are searched for,
+  // and stored in the match store, under the parsed series title
+  tmdbSearchTitle(item) {
+    return item.seriesTitle || item.title;
+  }
+
+  // Stored matches and admin overrides win over searching; new search results are remembered.
+  // Adds tmdb_match_source: 'override', 'stored' or 'search'.
+  async resolveTMDBMatch(title, mediaType, countryCode) {
+    return this.dedupe(`match:${matchService.buildKey(title, countryCode, mediaType)}`, () => this.runTMDBMatch(title, mediaType, countryCode));
+  }
+
+  async runTMDBMatch(title, mediaType, countryCode) {
+    const stored = await matchService.get(title, countryCode, mediaType);
+
+    if (stored) {
+      if (stored.status === 'no_match') {
+        console.log(`🚫 "${title}" is marked as having no TMDB match`);
+        return null;
+      }
+
+      console.log(`📌 Using ${stored.source === 'override' ? 'pinned' : 'stored'} TMDB ID ${stored.match.tmdb_id} for: ${title}`);
+      return {
+        ...stored.match,
+        tmdb_match_source: stored.source === 'override' ? 'override' : 'stored'
+      };
+    }
+
+    console.log(`🔍 Searching TMDB ID for: ${title}`);
+    let tmdbData = await this.searchTMDB(title, mediaType, countryCode);
+
+    // If we couldn't find it with specific type, try multi search
+    if (!tmdbData) {
+      console.log(`🔄 Retrying with multi search for: ${title}`);
+      tmdbData = await this.searchTMDB(title, 'multi', countryCode);
+    }
+
+    if (!tmdbData) return null;
+
+    try {
+      await matchService.saveSearchMatch(title, countryCode, mediaType, tmdbData);
+    } catch (error) {
+      console.error(`❌ Failed to store TMDB match for "${title}":`, error.message);
+    }
+
+    return { ...tmdbData, tmdb_match_source: 'search' };
+  }
+
+  // Explain how a title would be matched: the winning candidate with its findBestMatch score, the strategy
+  // that found it and the runner-up candidates. Read-only, so stored matches are reported but not applied.
+  // With explain, every candidate considered is listed with its individual score components.
+  async lookupTMDB(title, mediaType, countryCode, { runnerUps = 5, explain = false } = {}) {
+    let searchedAs = mediaType;
+    let found = await this.searchTMDBCandidates(title, mediaType, countryCode);
+
+    if (!found && mediaType !== 'multi') {
+      searchedAs = 'multi';
+      found = await this.searchTMDBCandidates(title, 'multi', countryCode);
+    }
+
+    const roundScore = (points) => Math.round(points * 10) / 10;
+    const describe = (candidate) => ({
+      ...this.toTMDBMatch(candidate, searchedAs),
+      score: roundScore(candidate.similarity_score),
+      ...(explain ? { matchedTitle: candidate.title_match, components: this.roundComponents(candidate.score_components) } : {})
+    });
+    const stored = mediaType !== 'multi' ? await matchService.get(title, countryCode, mediaType) : null;
+
+    return {
+      title,
+      mediaType,
+      countryCode,
+      match: found ? this.toTMDBMatch(found.candidates[0], searchedAs) : null,
+      score: found ? roundScore(found.candidates[0].similarity_score) : null,
+      strategy: found ? { number: found.strategy, query: found.query, region: found.region, mediaType: searchedAs } : null,
+      runnerUps: found ? found.candidates.slice(1, runnerUps + 1).map(describe) : [],
+      ...(explain ? { candidates: found ? found.candidates.map(describe) : [] } : {}),
+      stored: stored || null
+    };
+  }
+
+  roundComponents(components) {
+    return Object.fromEntries(Object.entries(components).map(([name, points]) => [name, Math.round(points * 10) / 10]));
+  }
+
+  // The TMDB season a "Season N" item refers to, null if TMDB doesn't have it,
+  // or undefined when the item isn't a numbered season of a matched show
+  async resolveTMDBSeason(item, tmdbData) {
+    if (!item.seasonNumber || !tmdbData || tmdbData.tmdb_media_type !== 'tv') return undefined;
+
+    try {
+      return await this.getTMDBSeason(tmdbData.tmdb_id, item.seasonNumber);
+    } catch (error) {
+      if (!(error.response && error.response.status === 404)) {
+        console.error(`❌ TMDB season ${item.seasonNumber} failed for tv ${tmdbData.tmdb_id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  // Season summaries are cached per show and season like full details
+  async getTMDBSeason(tmdbId, seasonNumber) {
+    return this.dedupe(`season:${tmdbId}:${seasonNumber}`, async () => {
+      const cacheKey = `tmdb:season:${tmdbId}:${seasonNumber}`;
+      const cachedEntry = await cacheService.get(cacheKey);
+      if (cachedEntry) return cachedEntry.value;
+
+      const season = await this.tmdbClient.getSeason(tmdbId, seasonNumber);
+      const summary = {
+        tmdb_season_id: season.id,
+        season_number: season.season_number,
+        name: season.name,
+        air_date: season.air_date || null,
+        episode_count: Array.isArray(season.episodes) ? season.episodes.length : null,
+        poster_url: this.tmdbImageUrl(season.poster_path, 'w500'),
+        tmdb_url: `https://www.themoviedb.org/tv/${tmdbId}/season/${season.season_number}`
+      };
+
+      await cacheService.set(cacheKey, summary, this.tmdbDetailsTtl);
+      return summary;
+    });
+  }
+
+  // ?explain=true: attach the scored candidate list behind each item's TMDB match
+  async explainTMDBMatches(items, countryCode = DEFAULT_COUNTRY) {
+    return mapWithConcurrency(items, this.tmdbConcurrency, async (item) => {
+      const mediaType = item.category === 'Movie' ? 'movie' : 'tv';
+      const lookup = await this.lookupTMDB(this.tmdbSearchTitle(item), mediaType, countryCode, { runnerUps: 0, explain: true });
+
+      return {
+        ...item,
+        tmdb_explain: {
+          matchSource: item.tmdb_match_source || null,
+          strategy: lookup.strategy,
+          candidates: lookup.candidates
+        }
+      };
+    });
+  }
+
+  // Look items up with bounded concurrency. Pass a `stats` object to collect lookup timings.
+  async enrichWithTMDB(items, countryCode = DEFAULT_COUNTRY, stats = null) {
+    if (!this.tmdbClient.isConfigured()) {
       console.warn('⚠️ TMDB API key not available, returning items without TMDB data');
       return items;
     }
 
     console.log(`🎬 Enriching items with TMDB IDs for region: ${countryCode}...`);
-    const enrichedItems = [];
+    const lookupTimes = [];
 
-    for (const item of items) {
-      console.log(`🔍 Searching TMDB ID for: ${item.title}`);
-      
+    const enrichedItems = await mapWithConcurrency(items, this.tmdbConcurrency, async (item) => {
       // Determine media type for TMDB search
       const mediaType = item.category === 'Movie' ? 'movie' : 'tv';
       
-      const tmdbData = await this.searchTMDB(item.title, mediaType, countryCode);
+      const startedAt = Date.now();
+      const tmdbData = await this.resolveTMDBMatch(this.tmdbSearchTitle(item), mediaType, countryCode);
+      const tmdbSeason = await this.resolveTMDBSeason(item, tmdbData);
+      lookupTimes.push(Date.now() - startedAt);
       
-      const enrichedItem = {
+      return {
         ...item,
-        ...tmdbData // Spread TMDB data into the item
+        ...tmdbData, // Spread TMDB data into the item
+        ...(tmdbSeason !== undefined ? { tmdb_season: tmdbSeason } : {})
       };
+    });
 
-      // If we couldn't find it with specific type, try multi search
-      if (!tmdbData) {
-        console.log(`🔄 Retrying with multi search for: ${item.title}`);
-        const multiSearchData = await this.searchTMDB(item.title, 'multi', countryCode);
-        if (multiSearchData) {
-          Object.assign(enrichedItem, multiSearchData);
-        }
-      }
-
-      enrichedItems.push(enrichedItem);
-      
-      // Minimal rate limiting for faster results
-      await this.wait(200); // 200ms delay between requests
+    if (stats) {
+      stats.concurrency = this.tmdbConcurrency;
+      stats.lookups = lookupTimes.length;
+      stats.searched = enrichedItems.filter(item => item.tmdb_match_source === 'search').length;
+      stats.fromStore = enrichedItems.filter(item => ['stored', 'override'].includes(item.tmdb_match_source)).length;
+      stats.averageLookupMs = lookupTimes.length > 0
+        ? Math.round(lookupTimes.reduce((sum, ms) => sum + ms, 0) / lookupTimes.length)
+        : 0;
+      stats.slowestLookupMs = lookupTimes.length > 0 ? Math.max(...lookupTimes) : 0;
     }
 
     const foundCount = enrichedItems.filter(item => item.tmdb_id).length;
@@ -287,50 +583,198 @@ class ScraperService {
     return enrichedItems;
   }
 
-  parseNetflixTop10(html, type = 'tv') {
+  // Full TMDB metadata (opt-in via ?details=full): fetched with append_to_response and cached per tmdb_id
+  async getTMDBDetails(tmdbId, mediaType) {
+    return this.dedupe(`details:${mediaType}:${tmdbId}`, () => this.loadTMDBDetails(tmdbId, mediaType));
+  }
+
+  async loadTMDBDetails(tmdbId, mediaType) {
+    const cacheKey = `tmdb:details:${mediaType}:${tmdbId}`;
+    const cachedEntry = await cacheService.get(cacheKey);
+    if (cachedEntry) {
+      return cachedEntry.value;
+    }
+
+    console.log(`📚 Fetching TMDB details for ${mediaType} ${tmdbId}`);
+    const raw = await this.tmdbClient.getDetails(mediaType, tmdbId, ['credits', 'videos'], { language: 'en-US' });
+    const details = this.formatTMDBDetails(raw, mediaType);
+
+    await cacheService.set(cacheKey, details, this.tmdbDetailsTtl);
+    return details;
+  }
+
+  tmdbImageUrl(filePath, size) {
+    return filePath ? `${this.tmdbImageBaseUrl}/${size}${filePath}` : null;
+  }
+
+  formatTMDBDetails(raw, mediaType) {
+    const cast = ((raw.credits && raw.credits.cast) || [])
+      .slice()
+      .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+      .slice(0, this.tmdbCastLimit)
+      .map(member => ({
+        id: member.id,
+        name: member.name,
+        character: member.character,
+        profile_url: this.tmdbImageUrl(member.profile_path, 'w185')
+      }));
+
+    // YouTube trailers first; fall back to teasers when no trailer is published yet
+    const youtubeVideos = ((raw.videos && raw.videos.results) || []).filter(video => video.site === 'YouTube');
+    const trailerVideos = youtubeVideos.filter(video => video.type === 'Trailer');
+    const trailers = (trailerVideos.length > 0 ? trailerVideos : youtubeVideos.filter(video => video.type === 'Teaser'))
+      .map(video => ({
+        key: video.key,
+        name: video.name,
+        type: video.type,
+        official: !!video.official,
+        url: `https://www.youtube.com/watch?v=${video.key}`
+      }));
+
+    const details = {
+      overview: raw.overview || null,
+      genres: (raw.genres || []).map(genre => genre.name),
+      original_language: raw.original_language || null,
+      vote_average: raw.vote_average ?? null,
+      vote_count: raw.vote_count ?? null,
+      poster_path: raw.poster_path || null,
+      poster_url: this.tmdbImageUrl(raw.poster_path, 'w500'),
+      backdrop_path: raw.backdrop_path || null,
+      backdrop_url: this.tmdbImageUrl(raw.backdrop_path, 'w1280'),
+      cast,
+      trailers
+    };
+
+    if (mediaType === 'movie') {
+      details.runtime = raw.runtime ?? null;
+    } else {
+      details.number_of_seasons = raw.number_of_seasons ?? null;
+      details.number_of_episodes = raw.number_of_episodes ?? null;
+      details.episode_runtime = (raw.episode_run_time || [])[0] ?? null;
+    }
+
+    return details;
+  }
+
+  // Attach tmdb_details to items that already carry a tmdb_id
+  async enrichWithTMDBDetails(items) {
+    if (!this.tmdbClient.isConfigured()) {
+      console.warn('⚠️ TMDB API key not available, returning items without TMDB details');
+      return items;
+    }
+
+    return mapWithConcurrency(items, this.tmdbConcurrency, async (item) => {
+      const mediaType = item.tmdb_media_type || (item.category === 'Movie' ? 'movie' : 'tv');
+
+      if (!item.tmdb_id || !['movie', 'tv'].includes(mediaType)) {
+        return { ...item, tmdb_details: null };
+      }
+
+      try {
+        return { ...item, tmdb_details: await this.getTMDBDetails(item.tmdb_id, mediaType) };
+      } catch (error) {
+        console.error(`❌ TMDB details failed for ${mediaType} ${item.tmdb_id}:`, error.message);
+        return { ...item, tmdb_details: null };
+      }
+    });
+  }
+
+  parseNetflixTop10(html, type = 'tv', country = COUNTRIES[DEFAULT_COUNTRY].name) {
+    return this.parseTop10(html, type, country, PLATFORMS[DEFAULT_PLATFORM]);
+  }
+
+  // Parse one platform's FlixPatrol page using its section and selector definitions
+  parseTop10(html, type, country, platform) {
     const $ = cheerio.load(html);
     let results = [];
 
-    console.log(`🔍 Parsing FlixPatrol HTML for ${type}...`);
+    console.log(`🔍 Parsing FlixPatrol ${platform.name} HTML for ${type}...`);
     
     // Parse TV Shows only (default behavior)
     if (type === 'tv' || type === 'both') {
-      const tvShows = this.parseTableData($, 'TV Shows');
+      const tvShows = this.parseTableData($, platform.sections.tv, country, platform);
       results = results.concat(tvShows);
     }
     
     // Parse Movies only if explicitly requested
     if (type === 'movies' || type === 'both') {
-      const movies = this.parseTableData($, 'Movies');
+      const movies = this.parseTableData($, platform.sections.movies, country, platform);
       results = results.concat(movies);
     }
 
     console.log(`📊 Total found: ${results.length} items`);
-    return results;
+
+    // Text-parsed items have no link to read FlixPatrol fields from; TV titles carry
+    // season, part and limited-series markers as structured fields
+    return results.map(item => ({
+      ...item,
+      ...(item.flixpatrolSlug === undefined ? this.extractFlixPatrolFields($, null) : {}),
+      ...(item.category === 'TV Show' ? parseSeasonInfo(item.title) : {})
+    }));
+  }
+
+  // FlixPatrol's own data for a title link: its slug (a stable key across countries and days),
+  // absolute URL, points and days in the Top 10 from the same table row, and the poster URL.
+  // Every field is null when the page doesn't show it.
+  extractFlixPatrolFields($, $link) {
+    const fields = { flixpatrolSlug: null, flixpatrolUrl: null, points: null, flixpatrolDays: null, posterUrl: null };
+    if (!$link) return fields;
+
+    const href = $link.attr('href') || '';
+    const slugMatch = href.match(/\/title\/([^/?#]+)/);
+    if (slugMatch) {
+      fields.flixpatrolSlug = slugMatch[1];
+      fields.flixpatrolUrl = this.absoluteFlixPatrolUrl(href);
+    }
+
+    const $row = $link.closest('tr');
+    $row.find('td').each((i, cell) => {
+      const cellText = $(cell).text().trim();
+
+      // "5 d" or "12 days"
+      const daysMatch = cellText.match(/^(\d+)\s*d(?:ays?)?$/i);
+      if (daysMatch && fields.flixpatrolDays === null) {
+        fields.flixpatrolDays = parseInt(daysMatch[1]);
+        return;
+      }
+
+      // Points are the bare number after the title, e.g. "970" or "1,234" (the rank cell reads "1.")
+      if (/^\d[\d,]*$/.test(cellText) && fields.points === null && $(cell).find('a').length === 0 && i > 0) {
+        fields.points = parseInt(cellText.replace(/,/g, ''));
+      }
+    });
+
+    // Lazy-loaded posters keep the real image in data-src
+    const $img = $link.find('img').length > 0 ? $link.find('img').first() : $row.find('img').first();
+    const posterSrc = $img.length > 0 ? ($img.attr('data-src') || $img.attr('src')) : null;
+    fields.posterUrl = posterSrc ? this.absoluteFlixPatrolUrl(posterSrc) : null;
+
+    return fields;
   }
 
-  parseTableData($, sectionType) {
+  absoluteFlixPatrolUrl(href) {
+    try {
+      return new URL(href, this.flixpatrolBaseUrl).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // section is one of the platform's sections ({ label, category }), e.g. TV Shows
+  parseTableData($, section, country, platform) {
     const results = [];
-    const category = sectionType === 'TV Shows' ? 'TV Show' : 'Movie';
+    const sectionType = section.label;
+    const category = section.category;
+    const { selectors } = platform;
+    const header = `TOP 10 ${section.label}`;
     
     console.log(`🎯 Looking for ${sectionType} table data...`);
     
     // Method 1: Find the specific section header first
-    let $sectionHeader = null;
-    
-    if (sectionType === 'TV Shows') {
-      // Look for the specific TV Shows header
-      $sectionHeader = $('h3.table-th:contains("TOP 10 TV Shows")');
-      if ($sectionHeader.length === 0) {
-        // Fallback patterns for TV Shows
-        $sectionHeader = $('h3:contains("TOP 10 TV Shows"), h2:contains("TOP 10 TV Shows"), .table-th:contains("TOP 10 TV Shows")');
-      }
-    } else {
-      // Look for Movies header
-      $sectionHeader = $('h3.table-th:contains("TOP 10 Movies")');
-      if ($sectionHeader.length === 0) {
-        $sectionHeader = $('h3:contains("TOP 10 Movies"), h2:contains("TOP 10 Movies"), .table-th:contains("TOP 10 Movies")');
-      }
+    let $sectionHeader = $(`${selectors.sectionHeader}:contains("${header}")`);
+    if ($sectionHeader.length === 0) {
+      // Fallback patterns
+      $sectionHeader = $(`h3:contains("${header}"), h2:contains("${header}"), .table-th:contains("${header}")`);
     }
     
     if ($sectionHeader.length > 0) {
@@ -344,7 +788,7 @@ class ScraperService {
       let attempts = 0;
       
       while ($nextSibling.length > 0 && attempts < 10) {
-        const titleLinks = $nextSibling.find('td.table-td a[href*="/title/"]');
+        const titleLinks = $nextSibling.find(selectors.titleLink);
         
         if (titleLinks.length > 0) {
           console.log(`🔗 Found ${titleLinks.length} title links in ${sectionType} section`);
@@ -392,8 +836,11 @@ class ScraperService {
                 title: title,
                 category: category,
                 poster: poster,
-                country: 'Philippines',
-                platform: 'Netflix'
+                country: country,
+                platform: platform.name,
+                source: 'table',
+                confidence: PARSE_CONFIDENCE.table,
+                ...this.extractFlixPatrolFields($, $link)
               });
               
               console.log(`✅ Found: ${rank}. ${title} (${category})`);
@@ -413,7 +860,7 @@ class ScraperService {
         
         let $searchContainer = $sectionHeader.parent();
         for (let level = 0; level < 3; level++) {
-          const titleLinks = $searchContainer.find('td.table-td a[href*="/title/"]');
+          const titleLinks = $searchContainer.find(selectors.titleLink);
           
           if (titleLinks.length > 0) {
             console.log(`🔗 Found ${titleLinks.length} title links in parent container`);
@@ -437,8 +884,11 @@ class ScraperService {
                   title: title,
                   category: category,
                   poster: '',
-                  country: 'Philippines',
-                  platform: 'Netflix'
+                  country: country,
+                  platform: platform.name,
+                  source: 'table',
+                  confidence: PARSE_CONFIDENCE.tableContainer,
+                  ...this.extractFlixPatrolFields($, $link)
                 });
                 
                 console.log(`✅ Found: ${rank}. ${title} (${category})`);
@@ -454,7 +904,7 @@ class ScraperService {
     } else {
       console.log(`❌ Could not find ${sectionType} section header`);
       // Fallback to the old method if header not found
-      const titleLinks = $('td.table-td a[href*="/title/"]');
+      const titleLinks = $(selectors.titleLink);
       console.log(`🔗 Fallback: Found ${titleLinks.length} total title links`);
       
       titleLinks.slice(0, 10).each((index, element) => {
@@ -467,8 +917,11 @@ class ScraperService {
             title: title,
             category: category,
             poster: '',
-            country: 'Philippines',
-            platform: 'Netflix'
+            country: country,
+            platform: platform.name,
+            source: 'table',
+            confidence: PARSE_CONFIDENCE.tableUnanchored,
+            ...this.extractFlixPatrolFields($, $link)
           });
         }
       });
@@ -477,7 +930,7 @@ class ScraperService {
     // Method 2: If we don't have enough results, try parsing by sections
     if (results.length < 8) {
       console.log(`⚠️ Only found ${results.length} items via table parsing, trying section-based parsing...`);
-      const sectionResults = this.parseSectionBased($, sectionType);
+      const sectionResults = this.parseSectionBased($, section, country, platform);
       
       // Merge results, avoiding duplicate ranks (but allowing duplicate titles)
       sectionResults.forEach(item => {
@@ -490,7 +943,7 @@ class ScraperService {
     // Method 3: If still not enough, try aggressive text parsing
     if (results.length < 8) {
       console.log(`⚠️ Still only ${results.length} items, trying aggressive text parsing...`);
-      const textResults = this.parseTextBasedAggressive($, sectionType);
+      const textResults = this.parseTextBasedAggressive($, section, country, platform);
       
       textResults.forEach(item => {
         if (!results.find(r => r.rank === item.rank)) {
@@ -519,7 +972,7 @@ class ScraperService {
     // Fill in missing ranks if we can identify them
     if (finalResults.length < 10) {
       console.log(`🔄 Attempting to fill missing ranks (currently have ${finalResults.length}/10)...`);
-      this.fillMissingRanks($, finalResults, category);
+      this.fillMissingRanks($, finalResults, category, country, platform);
     }
     
     console.log(`✅ ${sectionType} final results: ${finalResults.length} items`);
@@ -528,9 +981,10 @@ class ScraperService {
     return finalResults;
   }
 
-  parseSectionBased($, sectionType) {
+  parseSectionBased($, section, country, platform) {
     const results = [];
-    const category = sectionType === 'TV Shows' ? 'TV Show' : 'Movie';
+    const sectionType = section.label;
+    const category = section.category;
     
     console.log(`📑 Section-based parsing for ${sectionType}...`);
     
@@ -560,8 +1014,11 @@ class ScraperService {
               title: title,
               category: category,
               poster: '',
-              country: 'Philippines',
-              platform: 'Netflix'
+              country: country,
+              platform: platform.name,
+              source: 'section',
+              confidence: PARSE_CONFIDENCE.section,
+              ...this.extractFlixPatrolFields($, $link)
             });
           }
         });
@@ -573,16 +1030,17 @@ class ScraperService {
     return results;
   }
 
-  parseTextBasedAggressive($, sectionType) {
+  parseTextBasedAggressive($, section, country, platform) {
     const results = [];
-    const category = sectionType === 'TV Shows' ? 'TV Show' : 'Movie';
+    const sectionType = section.label;
+    const category = section.category;
     
     console.log(`🔤 Aggressive text parsing for ${sectionType}...`);
     
     const fullText = $.text();
     
     // Try to find the section and extract numbered items
-    const sectionKeyword = sectionType === 'TV Shows' ? 'TV Shows' : 'Movies';
+    const sectionKeyword = sectionType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const sectionPattern = new RegExp(`TOP\\s*10\\s*${sectionKeyword}([\\s\\S]*?)(?:TOP\\s*10|$)`, 'i');
     const sectionMatch = fullText.match(sectionPattern);
     
@@ -616,8 +1074,10 @@ class ScraperService {
                 title: title,
                 category: category,
                 poster: '',
-                country: 'Philippines',
-                platform: 'Netflix'
+                country: country,
+                platform: platform.name,
+                source: 'text',
+                confidence: PARSE_CONFIDENCE.text
               });
             }
           }
@@ -628,7 +1088,7 @@ class ScraperService {
     return results;
   }
 
-  fillMissingRanks($, currentResults, category) {
+  fillMissingRanks($, currentResults, category, country, platform) {
     console.log('🔍 Attempting to find missing ranked items...');
     
     // Get all links to titles that we haven't captured yet
@@ -649,8 +1109,11 @@ class ScraperService {
             title: title,
             category: category,
             poster: '',
-            country: 'Philippines',
-            platform: 'Netflix'
+            country: country,
+            platform: platform.name,
+            source: 'fill-missing',
+            confidence: PARSE_CONFIDENCE.fillMissing,
+            ...this.extractFlixPatrolFields($, $link)
           });
           
           existingRanks.add(rank);
@@ -665,42 +1128,163 @@ class ScraperService {
     });
   }
 
-  async scrapeNetflixTop10(type = 'tv', enrichWithTMDB = true, countryCode = 'PH') {
+  // Summarize which strategies produced the items and whether the parse can be trusted
+  diagnoseParse(items, type, htmlLength) {
+    const sections = [];
+
+    for (const sectionType of ['tv', 'movies']) {
+      if (type !== sectionType && type !== 'both') continue;
+
+      const category = sectionType === 'tv' ? 'TV Show' : 'Movie';
+      const sectionItems = items.filter(item => item.category === category);
+
+      const sources = {};
+      sectionItems.forEach(item => {
+        sources[item.source] = (sources[item.source] || 0) + 1;
+      });
+
+      const guessedRanks = sectionItems.filter(item => item.source === 'fill-missing').map(item => item.rank);
+      const foundRanks = new Set(sectionItems.map(item => item.rank));
+      const missingRanks = [];
+      for (let rank = 1; rank <= 10; rank++) {
+        if (!foundRanks.has(rank)) missingRanks.push(rank);
+      }
+
+      const totalConfidence = sectionItems.reduce((sum, item) => sum + item.confidence, 0);
+      const averageConfidence = sectionItems.length > 0
+        ? Math.round((totalConfidence / sectionItems.length) * 100) / 100
+        : 0;
+
+      const reasons = [];
+      if (sectionItems.length === 0) {
+        reasons.push('no items found');
+      } else if (guessedRanks.length / sectionItems.length > this.maxGuessedRatio) {
+        reasons.push(`${guessedRanks.length}/${sectionItems.length} ranks guessed`);
+      }
+
+      sections.push({
+        type: sectionType,
+        count: sectionItems.length,
+        sources,
+        guessedRanks,
+        missingRanks,
+        averageConfidence,
+        degraded: reasons.length > 0,
+        reasons
+      });
+    }
+
+    return {
+      htmlLength,
+      degraded: sections.some(section => section.degraded),
+      sections
+    };
+  }
+
+  async scrapeNetflixTop10(type = 'tv', enrichWithTMDB = true, countryCode = DEFAULT_COUNTRY, sourceId = DEFAULT_SOURCE) {
+    return this.scrapeTop10(DEFAULT_PLATFORM, type, enrichWithTMDB, countryCode, sourceId);
+  }
+
+  async scrapeTop10(platformId = DEFAULT_PLATFORM, type = 'tv', enrichWithTMDB = true, countryCode = DEFAULT_COUNTRY, sourceId = DEFAULT_SOURCE) {
     try {
-      console.log(`🕷️ Starting scrape for ${type} in region: ${countryCode}...`);
-      const html = await this.fetchPage();
-      console.log(`📄 HTML length: ${html.length} characters`);
-      
-      let data = this.parseNetflixTop10(html, type);
+      const platform = this.resolvePlatform(platformId);
+      const country = this.resolveCountry(countryCode, platform.id);
+      const source = this.resolveSource(sourceId, platform.id);
+      countryCode = country.code;
+      const history = historyService.forPlatform(platform.id, source.id);
+      const startedAt = Date.now();
+      const timing = { fetchMs: 0, parseMs: 0, tmdbMs: 0, historyMs: 0, totalMs: 0 };
+
+      console.log(`🕷️ Starting ${platform.name} scrape for ${type} in region: ${countryCode} from ${source.name}...`);
+      const fetched = await source.adapter.fetchRanking({ platform, country, type });
+      let data = fetched.data;
+      const diagnostics = this.diagnoseParse(data, type, fetched.bytes);
+      timing.fetchMs = fetched.fetchMs;
+      timing.parseMs = fetched.parseMs;
+
+      // Refuse to serve an empty or mostly-guessed ranking (checked before spending TMDB calls)
+      if (diagnostics.degraded) {
+        console.log('⚠️ Parse degraded. Possible causes:');
+        console.log('1. Changed HTML structure');
+        console.log('2. JavaScript-rendered content');
+        console.log('3. Anti-bot protection');
+
+        const reasons = diagnostics.sections
+          .filter(section => section.degraded)
+          .map(section => `${section.type}: ${section.reasons.join(', ')}`)
+          .join('; ');
+        throw new ParseDegradedError(`Parse degraded for ${platform.name} ${countryCode} ${type} (${reasons})`, diagnostics);
+      }
       
       // Enrich with TMDB data if requested and API key is available
-      if (enrichWithTMDB && this.tmdbApiKey && data.length > 0) {
-        data = await this.enrichWithTMDB(data, countryCode);
+      if (enrichWithTMDB && this.tmdbClient.isConfigured() && data.length > 0) {
+        const tmdbStartedAt = Date.now();
+        timing.tmdb = {};
+        data = await this.enrichWithTMDB(data, countryCode, timing.tmdb);
+        timing.tmdbMs = Date.now() - tmdbStartedAt;
       }
       
       console.log(`✅ Scraped ${data.length} items`);
       
-      // If no data found, save HTML for debugging
-      if (data.length === 0) {
-        console.log('⚠️ No data found. Possible causes:');
-        console.log('1. Changed HTML structure');
-        console.log('2. JavaScript-rendered content');
-        console.log('3. Anti-bot protection');
-        
-        const fs = require('fs');
-        fs.writeFileSync('./debug-html.txt', html.substring(0, 5000));
-        console.log('💾 Sample HTML saved to debug-html.txt');
-      }
-      
-      return {
+      const result = {
         success: true,
         data,
         scrapedAt: new Date().toISOString(),
         count: data.length,
         type: type,
         countryCode: countryCode,
-        enrichedWithTMDB: enrichWithTMDB && !!this.tmdbApiKey
+        country: country.name,
+        platform: platform.id,
+        platformName: platform.name,
+        source: source.id,
+        ...(fetched.week ? { week: fetched.week } : {}),
+        enrichedWithTMDB: enrichWithTMDB && this.tmdbClient.isConfigured(),
+        diagnostics,
+        timing
       };
+
+      // Annotate movement against the previous snapshot, then persist the day's (or week's) ranking.
+      // History failures shouldn't fail the scrape.
+      if (data.length > 0) {
+        const historyStartedAt = Date.now();
+        try {
+          const movement = await history.annotateScrape(result);
+          result.data = movement.data;
+          result.droppedOut = movement.droppedOut;
+          result.comparedTo = movement.comparedTo;
+
+          // The snapshots this scrape replaces (possibly from earlier today), for webhook diffs
+          const replaced = {};
+          for (const snapshotType of history.typesFor(result.type)) {
+            replaced[snapshotType] = await history.getLatestSnapshot(countryCode, snapshotType);
+          }
+
+          // Only snapshots that were written have changes to announce: a kept enriched snapshot
+          // would otherwise be diffed against every un-enriched rescrape and re-sent each time
+          const saved = await history.saveScrape(result);
+          const savedReplaced = Object.fromEntries(saved.map(snapshot => [snapshot.type, replaced[snapshot.type]]));
+
+          // Webhooks are delivered in the background so they never hold up the scrape
+          if (saved.length > 0) {
+            webhookService.notifyScrape(result, savedReplaced, (a, b) => history.sameTitle(a, b))
+              .catch(error => console.error('❌ Webhook notification failed:', error.message));
+          }
+        } catch (historyError) {
+          console.error('❌ Ranking history update failed:', historyError.message);
+        }
+        timing.historyMs = Date.now() - historyStartedAt;
+      }
+
+      // Identifies this ranking's content for ETags; lastModified only moves when the hash changes
+      // (see cacheService.setRanking)
+      result.contentHash = hashContent(result.data);
+      result.lastModified = result.scrapedAt;
+
+      // Push the new ranking to live stream clients
+      streamService.publish(result);
+
+      timing.totalMs = Date.now() - startedAt;
+      return result;
     } catch (error) {
       console.error('❌ Scraping failed:', error.message);
       throw error;
@@ -714,32 +1298,24 @@ class ScraperService {
   }
 
   // Helper method to get TMDB ID only (fastest method)
-  async getTMDBIdOnly(title, mediaType = 'multi', countryCode = 'PH') {
+  async getTMDBIdOnly(title, mediaType = 'multi', countryCode = DEFAULT_COUNTRY) {
     const result = await this.searchTMDB(title, mediaType, countryCode);
     return result ? result.tmdb_id : null;
   }
 
   // Batch method to get multiple TMDB IDs quickly
-  async batchGetTMDBIds(titles, mediaType = 'multi', countryCode = 'PH') {
-    const results = [];
-    
+  async batchGetTMDBIds(titles, mediaType = 'multi', countryCode = DEFAULT_COUNTRY) {
     console.log(`🚀 Batch searching TMDB IDs for ${titles.length} titles...`);
     
-    for (let i = 0; i < titles.length; i++) {
-      const title = titles[i];
+    const results = await mapWithConcurrency(titles, this.tmdbConcurrency, async (title, i) => {
       console.log(`🔍 [${i + 1}/${titles.length}] Searching: ${title}`);
       
       const tmdbId = await this.getTMDBIdOnly(title, mediaType, countryCode);
-      results.push({
+      return {
         title: title,
         tmdb_id: tmdbId
-      });
-      
-      // Minimal delay for speed
-      if (i < titles.length - 1) {
-        await this.wait(150);
-      }
-    }
+      };
+    });
     
     const foundCount = results.filter(r => r.tmdb_id).length;
     console.log(`✅ Found ${foundCount}/${titles.length} TMDB IDs`);
@@ -0,0 +1,22 @@
+// Rankings scraped from FlixPatrol's top 10 pages. Fetching and parsing stay on ScraperService
+// (tests and the fixture recorder hook into them there); this adapter just sequences them.
+class FlixPatrolSource {
+  constructor(scraper) {
+    this.name = 'flixpatrol';
+    this.scraper = scraper;
+  }
+
+  // Resolves with { data, bytes, fetchMs, parseMs }
+  async fetchRanking({ platform, country, type }) {
+    const startedAt = Date.now();
+    const html = await this.scraper.fetchPage(country.url);
+    const fetchMs = Date.now() - startedAt;
+    console.log(`📄 HTML length: ${html.length} characters`);
+
+    const data = this.scraper.parseTop10(html, type, country.name, platform);
+
+    return { data, bytes: html.length, fetchMs, parseMs: Date.now() - startedAt - fetchMs };
+  }
+}
+
+module.exports = FlixPatrolSource;
@@ -0,0 +1,167 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseSeasonInfo } = require('../../utils/seasonParser');
+const { NotFoundError, ServiceUnavailableError } = require('../../utils/errors');
+
+const CATEGORY_TYPES = { 'TV Show': 'tv', Movie: 'movies' };
+const XLSX_EPOCH = Date.UTC(1899, 11, 30);
+
+// Netflix's own weekly Top 10 (top10.netflix.com), read from a downloaded file so it works offline.
+// NETFLIX_TOP10_FILE is the per-country file (all-weeks-countries.tsv or .xlsx); the optional
+// NETFLIX_TOP10_GLOBAL_FILE (all-weeks-global) adds hours viewed, views and runtime, which Netflix
+// only publishes globally. Rankings are for the latest week in the file.
+class NetflixOfficialSource {
+  constructor(options = {}) {
+    this.name = 'netflix-official';
+    this.file = options.file || null;
+    this.globalFile = options.globalFile || null;
+    this.loaded = new Map(); // file path -> { mtimeMs, rows }, reloaded when the file changes
+  }
+
+  async fetchRanking({ platform, country, type }) {
+    if (!this.file) {
+      throw new ServiceUnavailableError('Netflix official Top 10 source is not configured (set NETFLIX_TOP10_FILE)');
+    }
+
+    const startedAt = Date.now();
+    const { rows, bytes } = await this.loadRows(this.file);
+    const globalRows = this.globalFile ? (await this.loadRows(this.globalFile)).rows : [];
+    const fetchMs = Date.now() - startedAt;
+
+    const countryRows = rows.filter(row => String(row.country_iso2 || '').toUpperCase() === country.code);
+    if (countryRows.length === 0) {
+      throw new NotFoundError(`No official Netflix Top 10 rows for ${country.code} in ${path.basename(this.file)}`);
+    }
+
+    const week = countryRows.reduce((latest, row) => (row.week > latest ? row.week : latest), '');
+    const viewing = new Map(globalRows
+      .filter(row => row.week === week)
+      .map(row => [this.viewingKey(row), row]));
+
+    const data = countryRows
+      .filter(row => row.week === week)
+      .map(row => this.toItem(row, viewing.get(this.viewingKey(row)), country, platform))
+      .filter(item => item.category && (type === 'both' || CATEGORY_TYPES[item.category] === type))
+      .sort((a, b) => (a.category === b.category ? a.rank - b.rank : a.category === 'TV Show' ? -1 : 1));
+
+    console.log(`📄 Official Netflix Top 10: ${data.length} items for ${country.code}, week of ${week}`);
+
+    return { data, bytes, week, fetchMs, parseMs: Date.now() - startedAt - fetchMs };
+  }
+
+  // Same shape as a scraped FlixPatrol item, with the FlixPatrol-only fields left null
+  toItem(row, viewing, country, platform) {
+    const category = /^TV/i.test(row.category) ? 'TV Show' : /^Film/i.test(row.category) ? 'Movie' : null;
+    const seasonTitle = this.present(row.season_title);
+    const title = seasonTitle || row.show_title;
+    const stats = viewing || row;
+
+    return {
+      rank: parseInt(row.weekly_rank),
+      title,
+      category,
+      poster: '',
+      country: country.name,
+      platform: platform.name,
+      source: this.name,
+      confidence: 1,
+      flixpatrolSlug: null,
+      flixpatrolUrl: null,
+      points: null,
+      flixpatrolDays: null,
+      posterUrl: null,
+      ...(category === 'TV Show' ? parseSeasonInfo(title) : {}),
+      week: row.week,
+      weeksInTop10: this.toNumber(row.cumulative_weeks_in_top_10),
+      hoursViewed: this.toNumber(stats.weekly_hours_viewed),
+      views: this.toNumber(stats.weekly_views),
+      runtime: this.toNumber(stats.runtime)
+    };
+  }
+
+  viewingKey(row) {
+    return `${row.show_title}|${this.present(row.season_title) || ''}`;
+  }
+
+  // Netflix writes "N/A" for the season of a film
+  present(value) {
+    const text = String(value || '').trim();
+    return text && text !== 'N/A' ? text : null;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+
+  // Rows as objects keyed by the header line, from a TSV or an XLSX file
+  async loadRows(file) {
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch (error) {
+      throw new ServiceUnavailableError(`Netflix official Top 10 file cannot be read: ${file}`);
+    }
+
+    const cached = this.loaded.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached;
+    }
+
+    const buffer = await fs.readFile(file);
+    const table = /\.xlsx$/i.test(file)
+      ? await this.readFirstSheet(buffer)
+      : buffer.toString('utf8').split(/\r?\n/).filter(line => line.trim()).map(line => line.split('\t'));
+
+    const [header = [], ...lines] = table;
+    const columns = header.map(name => String(name).trim().toLowerCase());
+    const rows = lines.map(cells => {
+      const row = {};
+      columns.forEach((column, index) => {
+        row[column] = cells[index] !== undefined ? String(cells[index]).trim() : '';
+      });
+      row.week = this.toWeek(row.week);
+      return row;
+    });
+
+    const loaded = { mtimeMs: stat.mtimeMs, rows, bytes: buffer.length };
+    this.loaded.set(file, loaded);
+    return loaded;
+  }
+
+  // Rows of the workbook's first sheet (in workbook order) as arrays of cell values
+  async readFirstSheet(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const table = [];
+    const [sheet] = workbook.worksheets;
+    if (sheet) {
+      sheet.eachRow(row => table.push(row.values.slice(1).map(value => this.cellValue(value))));
+    }
+    return table;
+  }
+
+  // Dates, rich text, formulas and hyperlinks come back from ExcelJS as objects
+  cellValue(value) {
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (value && typeof value === 'object') {
+      if (Array.isArray(value.richText)) return value.richText.map(run => run.text).join('');
+      if ('result' in value) return this.cellValue(value.result);
+      if ('text' in value) return value.text;
+    }
+    return value;
+  }
+
+  // Weeks are YYYY-MM-DD in the TSV, and day serials or dates in the XLSX
+  toWeek(value) {
+    if (/^\d+(\.\d+)?$/.test(value || '')) {
+      return new Date(XLSX_EPOCH + Math.floor(Number(value)) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+    return String(value || '').slice(0, 10);
+  }
+}
+
+module.exports = NetflixOfficialSource;
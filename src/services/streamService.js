@@ -0,0 +1,157 @@
+const historyService = require('./historyService');
+const webhookService = require('./webhookService');
+const { hashContent } = require('../utils/httpCache');
+
+// Live ranking updates for Server-Sent Events clients. Each channel (platform, source, country,
+// type, enrichment) remembers the last ranking it saw and a short buffer of delta events, so
+// reconnecting clients can resume from Last-Event-ID. Event IDs start with a per-process boot ID,
+// so IDs from before a restart are recognized as unknown and answered with a full ranking.
+class StreamService {
+  constructor() {
+    this.heartbeatMs = (parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 15) * 1000;
+    this.retryMs = parseInt(process.env.STREAM_RETRY_MS) || 5000;
+    this.replayLimit = parseInt(process.env.STREAM_REPLAY_LIMIT) || 50;
+    this.bootId = Date.now().toString(36);
+    this.sequence = 0;
+    this.channels = new Map();
+  }
+
+  channelKey({ platform, source, country, type, enriched }) {
+    return `${platform}:${source}:${country}:${type}:${enriched ? 'tmdb' : 'raw'}`;
+  }
+
+  getChannel(target) {
+    const key = this.channelKey(target);
+    if (!this.channels.has(key)) {
+      this.channels.set(key, {
+        key,
+        ...target,
+        lastId: null,
+        lastSequence: 0,
+        baseId: null, // the event the replay buffer starts after
+        contentHash: null,
+        scrapedAt: null,
+        items: null,
+        events: [],
+        listeners: new Set()
+      });
+    }
+    return this.channels.get(key);
+  }
+
+  nextEventId() {
+    this.sequence++;
+    return { id: `${this.bootId}-${this.sequence}`, sequence: this.sequence };
+  }
+
+  // The part of a scrape result a channel shows, or null if the scrape didn't cover its type
+  viewFor(result, type) {
+    if (type === 'both') return result.type === 'both' ? result.data : null;
+    if (result.type !== type && result.type !== 'both') return null;
+
+    const category = type === 'tv' ? 'TV Show' : 'Movie';
+    return result.data.filter(item => item.category === category);
+  }
+
+  // Record a ranking as the channel's current state without emitting anything
+  seed(channel, result) {
+    if (channel.contentHash !== null) return;
+
+    const items = this.viewFor(result, channel.type) || result.data;
+    const { id, sequence } = this.nextEventId();
+    Object.assign(channel, { lastId: id, lastSequence: sequence, baseId: id, contentHash: hashContent(items), scrapedAt: result.scrapedAt, items });
+  }
+
+  subscribe(channel, listener) {
+    channel.listeners.add(listener);
+    return () => channel.listeners.delete(listener);
+  }
+
+  // Called with every fresh scrape. Channels whose ranking changed get a delta event.
+  publish(result) {
+    for (const type of ['tv', 'movies', 'both']) {
+      const channel = this.channels.get(this.channelKey({
+        platform: result.platform,
+        source: result.source,
+        country: result.countryCode,
+        type,
+        enriched: result.enrichedWithTMDB
+      }));
+      const items = channel ? this.viewFor(result, type) : null;
+      if (!items) continue;
+
+      if (channel.contentHash === null) {
+        this.seed(channel, result);
+        continue;
+      }
+
+      const contentHash = hashContent(items);
+      if (contentHash === channel.contentHash) continue;
+
+      const sameTitle = (a, b) => historyService.sameTitle(a, b);
+      const { id, sequence } = this.nextEventId();
+      const event = {
+        id,
+        sequence,
+        event: 'delta',
+        data: {
+          countryCode: result.countryCode,
+          type,
+          scrapedAt: result.scrapedAt,
+          contentHash,
+          previousHash: channel.contentHash,
+          changes: webhookService.diffRankings(channel.items, items, sameTitle),
+          // Items now at a rank that a different title held before; dropped titles are in changes
+          upserts: items.filter(item => {
+            const previous = channel.items.find(p => p.rank === item.rank && p.category === item.category);
+            return !previous || !sameTitle(previous, item);
+          })
+        }
+      };
+
+      Object.assign(channel, { lastId: id, lastSequence: sequence, contentHash, scrapedAt: result.scrapedAt, items });
+      channel.events.push(event);
+      if (channel.events.length > this.replayLimit) {
+        channel.baseId = channel.events.shift().id;
+      }
+
+      for (const listener of channel.listeners) {
+        listener(event);
+      }
+    }
+  }
+
+  // Events after lastEventId, [] when the client is up to date, or null when the ID is unknown
+  // (from before a restart or older than the replay buffer) and the client needs a full ranking
+  eventsSince(channel, lastEventId) {
+    if (channel.lastId === null) return null;
+    if (lastEventId === channel.lastId) return [];
+    if (lastEventId === channel.baseId) return channel.events.slice();
+
+    const index = channel.events.findIndex(event => event.id === lastEventId);
+    return index === -1 ? null : channel.events.slice(index + 1);
+  }
+
+  // The channel's current ranking as a full `ranking` event
+  snapshotEvent(channel) {
+    return {
+      id: channel.lastId,
+      sequence: channel.lastSequence,
+      event: 'ranking',
+      data: {
+        countryCode: channel.country,
+        type: channel.type,
+        scrapedAt: channel.scrapedAt,
+        contentHash: channel.contentHash,
+        count: channel.items.length,
+        data: channel.items
+      }
+    };
+  }
+
+  format({ id, event, data }) {
+    return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+}
+
+module.exports = new StreamService();
@@ -0,0 +1,94 @@
+const axios = require('axios');
+const TokenBucket = require('../utils/tokenBucket');
+
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Thin wrapper around the TMDB v3 API. The base URL comes from TMDB_BASE_URL so tests and
+// local development can point it at the stub server in test/stubs/tmdbStub.js.
+// Every request goes through a shared token bucket; 429 responses pause it for Retry-After and retry.
+class TmdbClient {
+  constructor() {
+    this.configure({
+      baseUrl: process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3',
+      apiKey: process.env.TMDB_API_KEY,
+      timeout: parseInt(process.env.TMDB_TIMEOUT) || 5000,
+      requestsPerSecond: parseInt(process.env.TMDB_RATE_LIMIT) || 20,
+      maxRetries: process.env.TMDB_MAX_RETRIES !== undefined ? parseInt(process.env.TMDB_MAX_RETRIES) || 0 : 3
+    });
+    this.stats = { requests: 0, throttled: 0 };
+  }
+
+  // Override any of baseUrl, apiKey, timeout, requestsPerSecond or maxRetries at runtime
+  configure(options = {}) {
+    if (options.baseUrl !== undefined) this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    if (options.apiKey !== undefined) this.apiKey = options.apiKey;
+    if (options.timeout !== undefined) this.timeout = options.timeout;
+    if (options.maxRetries !== undefined) this.maxRetries = options.maxRetries;
+    if (options.requestsPerSecond !== undefined) {
+      this.limiter = new TokenBucket({ capacity: options.requestsPerSecond, refillPerSecond: options.requestsPerSecond });
+    }
+    return this;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  parseRetryAfter(value) {
+    if (!value) return 1000;
+
+    const seconds = Number(value);
+    const ms = !isNaN(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+    return Math.min(Math.max(isNaN(ms) ? 1000 : ms, 0), MAX_RETRY_AFTER_MS);
+  }
+
+  async get(path, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter.take();
+      this.stats.requests++;
+
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          params: { api_key: this.apiKey, ...params },
+          timeout: this.timeout
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response && error.response.status === 429 && attempt < this.maxRetries) {
+          const retryAfterMs = this.parseRetryAfter(error.response.headers['retry-after']);
+          console.warn(`⏳ TMDB rate limited, retrying ${path} in ${retryAfterMs}ms`);
+          this.stats.throttled++;
+          this.limiter.pause(retryAfterMs);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  // mediaType is 'movie', 'tv' or 'multi'
+  async search(mediaType, params) {
+    return this.get(`/search/${mediaType}`, params);
+  }
+
+  // Movie or TV details with extra resources (e.g. credits, videos) folded into one call
+  async getDetails(mediaType, id, append = [], params = {}) {
+    return this.get(`/${mediaType}/${id}`, {
+      ...params,
+      ...(append.length > 0 ? { append_to_response: append.join(',') } : {})
+    });
+  }
+
+  // One season of a TV show, including its episode list
+  async getSeason(tvId, seasonNumber) {
+    return this.get(`/tv/${tvId}/season/${seasonNumber}`);
+  }
+
+  // Localized and alternate titles for a movie or TV show
+  async getAlternativeTitles(mediaType, id) {
+    return this.get(`/${mediaType}/${id}/alternative_titles`);
+  }
+}
+
+module.exports = new TmdbClient();
@@ -0,0 +1,234 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const JsonFile = require('../utils/jsonFile');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const WEBHOOK_EVENTS = ['new_entry', 'rank_change', 'top_change', 'dropped_out'];
+const WEBHOOK_TYPES = ['tv', 'movies'];
+
+// Webhook subscriptions notified when a scrape changes a Top 10. Subscriptions are stored as one
+// JSON file (WEBHOOK_STORE_FILE), loaded once and rewritten on every change, like the match store.
+// Each scrape is diffed against the previous stored snapshot; every subscription whose filters
+// match gets one signed POST per ranking type, retried with backoff on failure.
+class WebhookService {
+  constructor() {
+    this.file = path.resolve(process.env.WEBHOOK_STORE_FILE || './data/webhooks.json');
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 5000;
+    this.maxRetries = process.env.WEBHOOK_MAX_RETRIES !== undefined ? parseInt(process.env.WEBHOOK_MAX_RETRIES) || 0 : 3;
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+    this.subscriptions = null;
+    this.store = new JsonFile('webhook store');
+  }
+
+  get events() {
+    return WEBHOOK_EVENTS;
+  }
+
+  get types() {
+    return WEBHOOK_TYPES;
+  }
+
+  async load() {
+    if (this.subscriptions) return this.subscriptions;
+
+    const stored = await this.store.read(this.file);
+    this.subscriptions = new Map((stored || []).map(subscription => [subscription.id, subscription]));
+    return this.subscriptions;
+  }
+
+  persist() {
+    return this.store.write(this.file, [...this.subscriptions.values()]);
+  }
+
+  async list() {
+    const subscriptions = await this.load();
+    return [...subscriptions.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async get(id) {
+    const subscriptions = await this.load();
+    return subscriptions.get(id) || null;
+  }
+
+  // fields: { url, secret, platform, source, countries, types, events }, already validated.
+  // Empty countries means every country. A secret is generated when none is given.
+  async create(fields) {
+    const subscriptions = await this.load();
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: fields.url,
+      secret: fields.secret || crypto.randomBytes(24).toString('hex'),
+      platform: fields.platform,
+      source: fields.source,
+      countries: fields.countries,
+      types: fields.types,
+      events: fields.events,
+      createdAt: new Date().toISOString(),
+      lastDelivery: null
+    };
+
+    subscriptions.set(subscription.id, subscription);
+    await this.persist();
+    return subscription;
+  }
+
+  async delete(id) {
+    const subscriptions = await this.load();
+    const deleted = subscriptions.delete(id);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  // Events for one ranking type between the previous snapshot's items and the new ones.
+  // Without a previous snapshot nothing can be said to have changed.
+  diffRankings(previousItems, items, sameTitle) {
+    if (!previousItems) return [];
+
+    const summarize = (item) => ({
+      title: item.title,
+      category: item.category,
+      tmdb_id: item.tmdb_id || null,
+      flixpatrolSlug: item.flixpatrolSlug || null
+    });
+    const events = [];
+
+    for (const item of items) {
+      const previous = previousItems.find(p => sameTitle(p, item));
+      if (!previous) {
+        events.push({ kind: 'new_entry', ...summarize(item), rank: item.rank, previousRank: null });
+      } else if (previous.rank !== item.rank) {
+        events.push({ kind: 'rank_change', ...summarize(item), rank: item.rank, previousRank: previous.rank });
+      }
+    }
+
+    const top = items.find(item => item.rank === 1);
+    const previousTop = previousItems.find(item => item.rank === 1);
+    if (top && (!previousTop || !sameTitle(previousTop, top))) {
+      const previous = previousItems.find(p => sameTitle(p, top));
+      events.push({
+        kind: 'top_change',
+        ...summarize(top),
+        rank: 1,
+        previousRank: previous ? previous.rank : null,
+        replaced: previousTop ? summarize(previousTop) : null
+      });
+    }
+
+    for (const previous of previousItems) {
+      if (!items.some(item => sameTitle(previous, item))) {
+        events.push({ kind: 'dropped_out', ...summarize(previous), rank: null, previousRank: previous.rank });
+      }
+    }
+
+    return events;
+  }
+
+  matches(subscription, { platform, source, countryCode, type }) {
+    return subscription.platform === platform &&
+      subscription.source === source &&
+      (subscription.countries.length === 0 || subscription.countries.includes(countryCode)) &&
+      subscription.types.includes(type);
+  }
+
+  // Diff a scrape result against the snapshots it replaced ({ tv, movies }) and deliver the events.
+  // Types missing from previousSnapshots weren't saved and are skipped.
+  // Resolves once every delivery has finished (or given up); failures are recorded, never thrown.
+  async notifyScrape(result, previousSnapshots, sameTitle) {
+    const subscriptions = await this.list();
+    if (subscriptions.length === 0) return [];
+
+    const deliveries = [];
+    for (const type of WEBHOOK_TYPES) {
+      if ((result.type !== type && result.type !== 'both') || !(type in previousSnapshots)) continue;
+
+      const category = type === 'tv' ? 'TV Show' : 'Movie';
+      const previous = previousSnapshots[type];
+      const events = this.diffRankings(
+        previous ? previous.items : null,
+        result.data.filter(item => item.category === category),
+        sameTitle
+      );
+      if (events.length === 0) continue;
+
+      const target = { platform: result.platform, source: result.source, countryCode: result.countryCode, type };
+      for (const subscription of subscriptions.filter(s => this.matches(s, target))) {
+        const wanted = events.filter(event => subscription.events.includes(event.kind));
+        if (wanted.length === 0) continue;
+
+        deliveries.push(this.deliver(subscription, {
+          id: crypto.randomUUID(),
+          subscriptionId: subscription.id,
+          ...target,
+          scrapedAt: result.scrapedAt,
+          comparedTo: previous.scrapedAt || previous.date,
+          events: wanted
+        }));
+      }
+    }
+
+    return Promise.all(deliveries);
+  }
+
+  // The receiver recomputes HMAC-SHA256(secret, "<timestamp>.<body>") to check X-Webhook-Signature
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  isRetryable(error) {
+    return !error.response || error.response.status === 429 || error.response.status >= 500;
+  }
+
+  async deliver(subscription, payload) {
+    const body = JSON.stringify(payload);
+    const startedAt = new Date().toISOString();
+    let attempts = 0;
+    let outcome;
+
+    for (;;) {
+      attempts++;
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        const response = await axios.post(subscription.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': payload.id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': this.sign(subscription.secret, timestamp, body)
+          },
+          timeout: this.timeout
+        });
+        outcome = { ok: true, status: response.status };
+        break;
+      } catch (error) {
+        if (this.isRetryable(error) && attempts <= this.maxRetries) {
+          await sleep(this.retryBaseMs * 2 ** (attempts - 1));
+          continue;
+        }
+        outcome = { ok: false, status: error.response ? error.response.status : null, error: error.message };
+        break;
+      }
+    }
+
+    if (outcome.ok) {
+      console.log(`📬 Webhook ${subscription.id} delivered ${payload.events.length} event(s) for ${payload.countryCode} ${payload.type}`);
+    } else {
+      console.error(`❌ Webhook ${subscription.id} failed after ${attempts} attempt(s):`, outcome.error);
+    }
+
+    // The subscription may have been deleted while delivering
+    const stored = await this.get(subscription.id);
+    if (stored) {
+      stored.lastDelivery = { id: payload.id, at: startedAt, attempts, ...outcome };
+      await this.persist();
+    }
+
+    return { subscriptionId: subscription.id, attempts, ...outcome };
+  }
+}
+
+module.exports = new WebhookService();
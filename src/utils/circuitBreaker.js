@@ -0,0 +1,52 @@
+// Circuit breaker: after `failureThreshold` consecutive failures the circuit opens and calls are
+// refused for `resetTimeoutMs`. Then it goes half-open and lets one trial call through; success
+// closes it again, failure re-opens it for another `resetTimeoutMs`.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 60 * 1000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  // Milliseconds until an open circuit lets a trial call through (0 unless open)
+  get retryAfterMs() {
+    return this.state === 'open' ? this.openedAt + this.resetTimeoutMs - Date.now() : 0;
+  }
+
+  // Whether a call may go ahead now. In half-open state only one trial call is allowed at a time.
+  allowRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'open' || this.trialInFlight) return false;
+
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  reset() {
+    this.recordSuccess();
+  }
+}
+
+module.exports = CircuitBreaker;
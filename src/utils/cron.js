@@ -0,0 +1,110 @@
+// Minimal 5-field cron expressions: minute hour day-of-month month day-of-week.
+// Supports *, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10). Times are evaluated in UTC.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${expression}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4]) : 1;
+    let start = min;
+    let end = max;
+
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      // "5/10" means "from 5 to the max, every 10"
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start);
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} field out of range: "${expression}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return {
+    expression,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonthMatch = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeekMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  return dayOfMonthMatch && dayOfWeekMatch;
+};
+
+// Next matching minute strictly after `from`
+const nextRun = (schedule, from = new Date()) => {
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Walk forward field by field; bounded so an impossible schedule (e.g. Feb 31) can't loop forever
+  const limit = new Date(date);
+  limit.setUTCFullYear(limit.getUTCFullYear() + 5);
+
+  while (date < limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
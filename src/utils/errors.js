@@ -0,0 +1,69 @@
+// Named errors so errorHandler can map them to HTTP status codes via err.name
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+class UnauthorizedError extends Error {
+  constructor(message = 'Authentication required') {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message = 'Access denied') {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends Error {
+  constructor(message = 'Resource not found') {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ServiceUnavailableError extends Error {
+  constructor(message = 'Service temporarily unavailable', retryAfter = null) {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+// The upstream page was fetched but the ranking couldn't be parsed reliably
+class ParseDegradedError extends Error {
+  constructor(message, diagnostics = null) {
+    super(message);
+    this.name = 'ParseDegradedError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+// Fetching an upstream page failed. `code` is the network error code (e.g. ENOTFOUND), or
+// ECIRCUITOPEN when the circuit breaker refused the request; `status` is the HTTP status if
+// the upstream answered.
+class UpstreamError extends Error {
+  constructor(message, { code = null, status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+module.exports = {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ServiceUnavailableError,
+  ParseDegradedError,
+  UpstreamError
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Stable hash of a ranking's content (or any JSON value), used for ETags
+const hashContent = (value) => {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+};
+
+// Whether the client's copy is still current. Evaluated here rather than with req.fresh, which
+// ignores the validators whenever the request says Cache-Control: no-cache (as fetch() does on
+// every conditional request). If-None-Match wins over If-Modified-Since, as in RFC 9110.
+const isNotModified = (req, etag, lastModified) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => {
+      const value = tag.trim().replace(/^W\//, '');
+      return value === '*' || value === `"${etag}"`;
+    });
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second precision
+    return !isNaN(since) && Math.floor(new Date(lastModified).getTime() / 1000) * 1000 <= since;
+  }
+
+  return false;
+};
+
+// Set ETag, Last-Modified and Cache-Control on the response. Returns true when the client's copy
+// is still current per If-None-Match / If-Modified-Since, i.e. the caller should answer 304.
+// maxAge is in seconds; 0 means clients may keep the response but must revalidate it.
+const setCacheHeaders = (req, res, { etag, lastModified = null, maxAge = 0 }) => {
+  res.set('ETag', `"${etag}"`);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  res.set('Cache-Control', maxAge > 0 ? `public, max-age=${Math.floor(maxAge)}` : 'no-cache');
+
+  return isNotModified(req, etag, lastModified);
+};
+
+module.exports = { hashContent, setCacheHeaders };
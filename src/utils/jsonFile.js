@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// A JSON file holding a whole store (matches, webhook subscriptions), loaded once and rewritten on
+// every change. Writes are chained so concurrent updates can't interleave, and a failed write only
+// fails its own caller: the chain itself swallows the error so later writes still run.
+class JsonFile {
+  constructor(label) {
+    this.label = label;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // The parsed file, or null when it is missing or unreadable
+  async read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Could not read ${this.label} ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  // value is serialized right away, so later changes to it don't leak into this write
+  write(file, value) {
+    const snapshot = JSON.stringify(value, null, 2);
+
+    const run = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write to a temp file first so readers never see a half-written store
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, snapshot);
+      await fs.rename(tempFile, file);
+    });
+    this.writeQueue = run.catch(() => {});
+
+    return run;
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,66 @@
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+const ROMAN_NUMERALS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10 };
+const NUMBER = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|[ivx]+)';
+const ORDINAL = '(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)';
+
+// Separators left behind once a marker is cut out, e.g. "Squid Game: " or "Money Heist -"
+const TRAILING_SEPARATORS = /[\s:\-–—,|]+$/;
+
+const SEASON_PATTERNS = [
+  new RegExp(`\\b(?:season|series)\\s+${NUMBER}\\b`, 'i'),
+  new RegExp(`\\b${ORDINAL}\\s+season\\b`, 'i'),
+  /\bS(\d{1,2})\b/
+];
+const PART_PATTERNS = [
+  new RegExp(`\\b(?:part|volume|vol\\.?)\\s+${NUMBER}\\b`, 'i')
+];
+const LIMITED_SERIES = /\blimited\s+series\b/i;
+
+const toNumber = (value) => {
+  const lower = value.toLowerCase();
+  if (/^\d+$/.test(lower)) return parseInt(lower);
+  return NUMBER_WORDS[lower] || ROMAN_NUMERALS[lower] || null;
+};
+
+// Cut the first match of any pattern out of the title, returning its number
+const extract = (title, patterns) => {
+  for (const pattern of patterns) {
+    const match = title.match(pattern);
+    const number = match ? toNumber(match[1]) : null;
+    if (number) {
+      return { number, rest: `${title.slice(0, match.index)} ${title.slice(match.index + match[0].length)}` };
+    }
+  }
+  return { number: null, rest: title };
+};
+
+// Split a Netflix TV title like "Squid Game: Season 2", "Money Heist: Part 5" or
+// "Kinda Pregnant (Limited Series)" into { seriesTitle, seasonNumber, part, limitedSeries }
+const parseSeasonInfo = (title) => {
+  let rest = String(title || '');
+  const limitedSeries = LIMITED_SERIES.test(rest);
+  rest = rest.replace(LIMITED_SERIES, ' ');
+
+  const season = extract(rest, SEASON_PATTERNS);
+  const part = extract(season.rest, PART_PATTERNS);
+
+  const seriesTitle = part.rest
+    .replace(/\(\s*\)|\[\s*\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(TRAILING_SEPARATORS, '');
+
+  return {
+    seriesTitle: seriesTitle || String(title || '').trim(),
+    seasonNumber: season.number,
+    part: part.number,
+    limitedSeries
+  };
+};
+
+module.exports = {
+  parseSeasonInfo
+};
@@ -0,0 +1,113 @@
+const anyAscii = require('any-ascii').default;
+
+// Lowercase, fold diacritics (Élite -> elite) and drop punctuation while keeping letters and
+// digits from every script, so Korean, Japanese or Thai titles don't collapse to empty strings
+const normalizeTitle = (title) => String(title || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .normalize('NFC') // recompose scripts like Hangul that NFKD splits apart
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Latin-script form of a title, e.g. 오징어 게임 -> ojingeo geim
+const transliterate = (title) => normalizeTitle(anyAscii(normalizeTitle(title)));
+
+const levenshteinDistance = (str1, str2) => {
+  const matrix = [];
+
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+};
+
+// 1 - edit distance relative to the longer string
+const stringSimilarity = (str1, str2) => {
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+
+  if (longer.length === 0) return 1.0;
+
+  return (longer.length - levenshteinDistance(longer, shorter)) / longer.length;
+};
+
+// Token-set similarity: word order and repeated words don't matter, and a title whose words
+// are all found in the other compares against the shared words rather than the full strings
+const tokenSetSimilarity = (str1, str2) => {
+  const tokens1 = new Set(str1.split(' ').filter(Boolean));
+  const tokens2 = new Set(str2.split(' ').filter(Boolean));
+  const shared = [...tokens1].filter(token => tokens2.has(token)).sort();
+  const rest1 = [...tokens1].filter(token => !tokens2.has(token)).sort();
+  const rest2 = [...tokens2].filter(token => !tokens1.has(token)).sort();
+
+  const sharedText = shared.join(' ');
+  const combined1 = [...shared, ...rest1].join(' ');
+  const combined2 = [...shared, ...rest2].join(' ');
+
+  const scores = [stringSimilarity(combined1, combined2)];
+  if (shared.length > 0) {
+    scores.push(stringSimilarity(sharedText, combined1), stringSimilarity(sharedText, combined2));
+  }
+  return Math.max(...scores);
+};
+
+const MATCH_KINDS = ['similar', 'partial', 'exact'];
+
+// Compare two titles in their own script and transliterated, keeping the better result.
+// Returns { kind: 'exact' | 'partial' | 'similar', similarity } with similarity between 0 and 1.
+const compareTitles = (title1, title2) => {
+  const pairs = [
+    [normalizeTitle(title1), normalizeTitle(title2)],
+    [transliterate(title1), transliterate(title2)]
+  ];
+
+  let best = { kind: 'similar', similarity: 0 };
+  for (const [a, b] of pairs) {
+    if (!a || !b) continue;
+
+    let result;
+    if (a === b) {
+      result = { kind: 'exact', similarity: 1 };
+    } else if (a.includes(b) || b.includes(a)) {
+      result = { kind: 'partial', similarity: tokenSetSimilarity(a, b) };
+    } else {
+      result = { kind: 'similar', similarity: tokenSetSimilarity(a, b) };
+    }
+
+    const better = MATCH_KINDS.indexOf(result.kind) - MATCH_KINDS.indexOf(best.kind) || result.similarity - best.similarity;
+    if (better > 0) best = result;
+  }
+
+  return best;
+};
+
+module.exports = {
+  normalizeTitle,
+  transliterate,
+  levenshteinDistance,
+  stringSimilarity,
+  tokenSetSimilarity,
+  compareTitles
+};
@@ -0,0 +1,57 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token-bucket rate limiter: allows bursts up to `capacity`, then `refillPerSecond` calls per second.
+// Waiters are served in FIFO order. pause() blocks everyone, e.g. after an upstream 429.
+class TokenBucket {
+  constructor({ capacity = 20, refillPerSecond = 20 } = {}) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.refillPerSecond) / 1000);
+    this.lastRefill = now;
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+    // Tokens only start refilling once the pause is over
+    this.lastRefill = this.pausedUntil;
+  }
+
+  // Resolves once a token is available; returns how long the caller waited in ms
+  take() {
+    const turn = this.queue.then(() => this.acquire());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async acquire() {
+    const startedAt = Date.now();
+
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return Date.now() - startedAt;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) * 1000) / this.refillPerSecond));
+    }
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,47 @@
+// Run `worker` over `items` with at most `concurrency` in flight; results keep the input order
+const mapWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, run));
+  return results;
+};
+
+// Returns limit(task): tasks passed to it run at most `concurrency` at a time, the rest wait in order.
+// For work that arrives piecemeal, such as GraphQL fields, rather than as a list up front.
+const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+module.exports = {
+  mapWithConcurrency,
+  createLimiter
+};
@@ -0,0 +1,159 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const cacheService = require('../src/services/cacheService');
+const matchService = require('../src/services/matchService');
+const tmdbClient = require('../src/services/tmdbClient');
+const MemoryStore = require('../src/services/cache/memoryStore');
+const { startTmdbStub } = require('./stubs/tmdbStub');
+const { readFixture } = require('./helpers/fixtures');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('admin API', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let fetchPage;
+  let stub;
+  const originalHistoryDir = historyService.directory;
+  const originalMatchFile = matchService.file;
+  const originalTmdbConfig = { baseUrl: tmdbClient.baseUrl, apiKey: tmdbClient.apiKey };
+  const originalStores = { store: cacheService.store, staleStore: cacheService.staleStore, tmdbStore: cacheService.tmdbStore };
+
+  const request = (url, { key = ADMIN_KEY, ...options } = {}) => fetch(`${baseUrl}/api/scraper${url}`, {
+    ...options,
+    headers: { ...(key ? { 'X-API-Key': key } : {}), ...(options.body ? { 'Content-Type': 'application/json' } : {}) }
+  });
+
+  const cacheUrl = (key) => `/admin/cache/${encodeURIComponent(key)}`;
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-admin-'));
+    historyService.directory = path.join(tempDir, 'history');
+    matchService.file = path.join(tempDir, 'tmdb-matches.json');
+    matchService.matches = null;
+    stub = await startTmdbStub();
+    tmdbClient.configure({ baseUrl: stub.url, apiKey: 'stub-key' });
+    cacheService.useStore(new MemoryStore(), new MemoryStore());
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+
+    const { html } = readFixture('ph-table-layout');
+    fetchPage = mock.method(scraperService, 'fetchPage', async () => html);
+
+    server = require('../src/app').listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    delete process.env.ADMIN_API_KEY;
+    cacheService.useStore(originalStores.store, originalStores.staleStore, originalStores.tmdbStore);
+    historyService.directory = originalHistoryDir;
+    matchService.file = originalMatchFile;
+    matchService.matches = null;
+    tmdbClient.configure(originalTmdbConfig);
+    await stub.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    await new Promise(done => server.close(done));
+  });
+
+  it('requires a valid key on every admin route', async () => {
+    const missing = await request('/admin/cache', { key: null });
+    assert.equal(missing.status, 401);
+    assert.match((await missing.json()).message, /Missing admin credentials/);
+
+    const wrong = await request('/admin/cache', { key: 'not-the-key' });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).message, 'Invalid admin credentials');
+
+    // Same length as the real key, so only the comparison rejects it
+    assert.equal((await request('/admin/cache', { key: 'test-admin-kez' })).status, 403);
+    assert.equal((await request(cacheUrl('netflix:tv:tv:PH:raw'), { key: null, method: 'DELETE' })).status, 401);
+    assert.equal((await request(`${cacheUrl('netflix:tv:tv:PH:raw')}/refresh`, { key: 'wrong', method: 'POST' })).status, 403);
+
+    const bearer = await fetch(`${baseUrl}/api/scraper/admin/cache`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+    assert.equal(bearer.status, 200);
+  });
+
+  it('is disabled when ADMIN_API_KEY is not configured', async () => {
+    delete process.env.ADMIN_API_KEY;
+    try {
+      const response = await request('/admin/cache');
+      assert.equal(response.status, 403);
+      assert.match((await response.json()).message, /ADMIN_API_KEY is not configured/);
+    } finally {
+      process.env.ADMIN_API_KEY = ADMIN_KEY;
+    }
+  });
+
+  it('lists, inspects and deletes cache entries', async () => {
+    await cacheService.set('netflix:tv:tv:PH:raw', { count: 10 });
+    await cacheService.set('netflix:movies:movies:PH:raw', { count: 10 });
+    await cacheService.set('tmdb:details:movie:993710', { runtime: 114 });
+
+    const all = await (await request('/admin/cache')).json();
+    assert.equal(all.backend, 'memory');
+    assert.deepEqual(all.entries.map(entry => entry.key), ['netflix:movies:movies:PH:raw', 'netflix:tv:tv:PH:raw', 'tmdb:details:movie:993710']);
+    assert.ok(all.entries.every(entry => entry.cachedAt && entry.expiresAt));
+
+    const filtered = await (await request('/admin/cache?prefix=tmdb:')).json();
+    assert.equal(filtered.count, 1);
+
+    const entry = await (await request(cacheUrl('tmdb:details:movie:993710'))).json();
+    assert.deepEqual(entry.value, { runtime: 114 });
+
+    assert.equal((await request(cacheUrl('netflix:tv:tv:PH:raw'), { method: 'DELETE' })).status, 200);
+    assert.equal(await cacheService.get('netflix:tv:tv:PH:raw'), null);
+    assert.equal((await request(cacheUrl('netflix:tv:tv:PH:raw'), { method: 'DELETE' })).status, 404);
+    assert.equal((await request(cacheUrl('netflix:tv:tv:PH:raw'))).status, 404);
+  });
+
+  it('refreshes a ranking entry by re-scraping it', async () => {
+    const key = 'netflix:tv:tv:PH:raw';
+    await cacheService.set(key, { count: 0, data: [] });
+    const scrapes = fetchPage.mock.callCount();
+
+    const response = await request(`${cacheUrl(key)}/refresh`, { method: 'POST' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.key, key);
+    assert.equal(body.count, 10);
+    assert.equal(fetchPage.mock.callCount(), scrapes + 1);
+    assert.equal((await cacheService.get(key)).value.data[0].title, 'Squid Game: Season 2');
+
+    // Only ranking keys can be refreshed
+    assert.equal((await request(`${cacheUrl('tmdb:details:movie:993710')}/refresh`, { method: 'POST' })).status, 400);
+  });
+
+  it('serves a pinned or removed match on the next request instead of the cached ranking', async () => {
+    const zeroDay = async () => {
+      const body = await (await fetch(`${baseUrl}/api/scraper/netflix/PH/tv`)).json();
+      return { cached: body.cached, tmdbId: body.data.find(item => item.title === 'Zero Day').tmdb_id };
+    };
+    const matchUrl = `/admin/matches/PH/tv/${encodeURIComponent('Zero Day')}`;
+
+    assert.equal((await zeroDay()).tmdbId, 227003);
+    assert.equal((await zeroDay()).cached, true);
+
+    const pinned = await request(matchUrl, { method: 'PUT', body: JSON.stringify({ tmdbId: 93405 }) });
+    assert.equal(pinned.status, 200);
+    assert.deepEqual(await zeroDay(), { cached: false, tmdbId: 93405 });
+
+    // Movie matches leave the TV ranking alone
+    await request(`/admin/matches/PH/movie/${encodeURIComponent('Zero Day')}`, { method: 'PUT', body: JSON.stringify({ noMatch: true }) });
+    assert.equal((await zeroDay()).cached, true);
+
+    assert.equal((await request(matchUrl, { method: 'DELETE' })).status, 200);
+    assert.deepEqual(await zeroDay(), { cached: false, tmdbId: 227003 });
+  });
+});
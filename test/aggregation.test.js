@@ -0,0 +1,138 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const aggregationService = require('../src/services/aggregationService');
+const scraperController = require('../src/controllers/scraperController');
+
+const ranking = (countryCode, titles) => ({
+  countryCode,
+  scrapedAt: '2025-03-01T10:00:00.000Z',
+  data: titles.map((fields, index) => ({ rank: index + 1, category: 'TV Show', ...fields }))
+});
+
+const rankings = [
+  ranking('PH', [
+    { title: 'Squid Game: Season 2', tmdb_id: 93405, tmdb_media_type: 'tv', tmdb_title: 'Squid Game', points: 970 },
+    { title: 'Forbidden Fruit', flixpatrolSlug: 'forbidden-fruit-2025', points: 873 },
+    { title: 'Zero Day', tmdb_id: 227003, tmdb_media_type: 'tv', points: 776 }
+  ]),
+  ranking('ID', [
+    { title: 'Zero Day', tmdb_id: 227003, tmdb_media_type: 'tv', points: 970 },
+    { title: 'El juego del calamar', tmdb_id: 93405, tmdb_media_type: 'tv', points: 873 },
+    { title: 'Forbidden Fruit', flixpatrolSlug: 'forbidden-fruit-2025', points: 100 }
+  ])
+];
+
+// A page without FlixPatrol's points column
+const withoutPoints = ranking('MY', [
+  { title: 'Forbidden Fruit', flixpatrolSlug: 'forbidden-fruit-2025' },
+  { title: 'Zero Day', tmdb_id: 227003, tmdb_media_type: 'tv' }
+]);
+
+describe('aggregationService', () => {
+  it('merges titles by TMDB ID or slug and sums Borda points', () => {
+    const [first, second, third] = aggregationService.aggregate(rankings, { formula: 'borda' });
+
+    assert.equal(first.title, 'Squid Game');
+    assert.equal(first.score, 10 + 9);
+    assert.deepEqual(first.countries.map(country => [country.countryCode, country.rank]), [['PH', 1], ['ID', 2]]);
+    assert.equal(second.title, 'Zero Day');
+    assert.equal(second.score, 8 + 10);
+    assert.equal(third.flixpatrolSlug, 'forbidden-fruit-2025');
+    assert.equal(third.countryCount, 2);
+  });
+
+  it('ranks by FlixPatrol points with the points formula', () => {
+    const combined = aggregationService.aggregate(rankings, { formula: 'points', limit: 2 });
+
+    assert.deepEqual(combined.map(entry => [entry.aggregateRank, entry.title, entry.score]), [
+      [1, 'Squid Game', 1843],
+      [2, 'Zero Day', 1746]
+    ]);
+  });
+
+  it('merges a title enriched in some countries with its slug-only rows in others', () => {
+    const mixed = [
+      ranking('SG', [{ title: 'Squid Game: Season 2', flixpatrolSlug: 'squid-game' }]),
+      ranking('TH', [{ title: 'Squid Game', tmdb_id: 93405, tmdb_media_type: 'tv' }]),
+      // Links the slug-only SG row and the TMDB-only TH row
+      ranking('PH', [{ title: 'Squid Game: Season 2', tmdb_id: 93405, tmdb_media_type: 'tv', tmdb_title: 'Squid Game', flixpatrolSlug: 'squid-game' }]),
+      ranking('MY', [{ title: 'Squid Game: Season 2', flixpatrolSlug: 'squid-game' }])
+    ];
+
+    const combined = aggregationService.aggregate(mixed, { formula: 'borda' });
+
+    assert.equal(combined.length, 1);
+    assert.equal(combined[0].title, 'Squid Game');
+    assert.equal(combined[0].tmdb_id, 93405);
+    assert.equal(combined[0].flixpatrolSlug, 'squid-game');
+    assert.equal(combined[0].countryCount, 4);
+    assert.equal(combined[0].score, 40);
+    assert.equal(combined[0].keys, undefined);
+  });
+
+  it('only scores countries with FlixPatrol points with the points formula', () => {
+    assert.equal(aggregationService.canScore(withoutPoints, 'points'), false);
+    assert.equal(aggregationService.canScore(withoutPoints, 'borda'), true);
+    assert.equal(aggregationService.canScore(rankings[0], 'points'), true);
+  });
+});
+
+describe('GET /api/scraper/netflix/aggregate', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(scraperController, 'loadRanking', async ({ country }) => {
+      const result = [...rankings, withoutPoints].find(entry => entry.countryCode === country);
+      if (!result) throw new Error(`No ranking for ${country}`);
+      return { result, cached: true };
+    });
+
+    const app = require('../src/app');
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise(done => server.close(done));
+  });
+
+  it('combines the requested countries and reports the ones that failed', async () => {
+    const response = await fetch(`${baseUrl}/api/scraper/netflix/aggregate?countries=ph,id,sg&limit=2`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.countries, ['PH', 'ID']);
+    assert.deepEqual(body.failedCountries.map(entry => entry.countryCode), ['SG']);
+    assert.equal(body.formula, 'borda');
+    assert.equal(body.data.length, 2);
+  });
+
+  it('skips and reports countries the points formula cannot score', async () => {
+    const response = await fetch(`${baseUrl}/api/scraper/netflix/aggregate?countries=ph,id,my&formula=points`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.countries, ['PH', 'ID']);
+    assert.deepEqual(body.skippedCountries.map(entry => entry.countryCode), ['MY']);
+    assert.equal(body.data.find(entry => entry.title === 'Forbidden Fruit').score, 873 + 100);
+
+    const none = await fetch(`${baseUrl}/api/scraper/netflix/aggregate?countries=my,sg&formula=points`);
+    assert.equal(none.status, 400);
+    assert.match((await none.json()).message, /None of MY have FlixPatrol points/);
+
+    const borda = await (await fetch(`${baseUrl}/api/scraper/netflix/aggregate?countries=ph,my`)).json();
+    assert.deepEqual(borda.skippedCountries, []);
+  });
+
+  it('validates the region, formula and limit', async () => {
+    for (const query of ['region=MARS', 'countries=PH', 'countries=PH,ID&formula=median', 'countries=PH,ID&limit=0', 'countries=PH,XX']) {
+      const response = await fetch(`${baseUrl}/api/scraper/netflix/aggregate?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('../src/services/cache/memoryStore');
+const FileStore = require('../src/services/cache/fileStore');
+const RedisStore = require('../src/services/cache/redisStore');
+const LocalRedisClient = require('../src/services/cache/localRedisClient');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Entries as CacheService.writeEntry builds them
+const entry = (key, value, ttl = 60000) => ({ key, value, cachedAt: new Date().toISOString(), expiry: Date.now() + ttl });
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-stores-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Every backend has to behave the same behind CacheService
+const backends = {
+  memory: () => new MemoryStore(),
+  file: () => new FileStore({ directory: path.join(tempDir, `file-${Date.now()}-${Math.random()}`) }),
+  'redis-local': () => new RedisStore({ client: new LocalRedisClient(), local: true })
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+  describe(`${name} store`, () => {
+    it('stores, reads and deletes entries', async () => {
+      const store = createStore();
+
+      assert.equal(await store.get('netflix:tv:tv:PH:raw'), null);
+
+      await store.set('netflix:tv:tv:PH:raw', entry('netflix:tv:tv:PH:raw', { count: 10 }));
+      const stored = await store.get('netflix:tv:tv:PH:raw');
+      assert.deepEqual(stored.value, { count: 10 });
+      assert.equal(stored.key, 'netflix:tv:tv:PH:raw');
+
+      // Overwriting replaces the value
+      await store.set('netflix:tv:tv:PH:raw', entry('netflix:tv:tv:PH:raw', { count: 9 }));
+      assert.deepEqual((await store.get('netflix:tv:tv:PH:raw')).value, { count: 9 });
+
+      assert.equal(await store.delete('netflix:tv:tv:PH:raw'), true);
+      assert.equal(await store.delete('netflix:tv:tv:PH:raw'), false);
+      assert.equal(await store.get('netflix:tv:tv:PH:raw'), null);
+    });
+
+    it('expires entries after their TTL', async () => {
+      const store = createStore();
+
+      await store.set('tmdb:search:short', entry('tmdb:search:short', 'soon gone', 20));
+      await store.set('tmdb:search:long', entry('tmdb:search:long', 'still here'));
+      assert.equal((await store.get('tmdb:search:short')).value, 'soon gone');
+
+      await sleep(40);
+      assert.equal(await store.get('tmdb:search:short'), null);
+      assert.deepEqual(await store.keys('tmdb:'), ['tmdb:search:long']);
+    });
+
+    it('lists and clears keys by prefix', async () => {
+      const store = createStore();
+
+      for (const key of ['netflix:tv:tv:PH:raw', 'netflix:movies:movies:US:tmdb', 'disney:tv:tv:US:raw', 'tmdb:details:movie:1']) {
+        await store.set(key, entry(key, key));
+      }
+
+      assert.deepEqual((await store.keys('netflix:')).sort(), ['netflix:movies:movies:US:tmdb', 'netflix:tv:tv:PH:raw']);
+      assert.equal((await store.keys()).length, 4);
+
+      assert.equal(await store.clear('netflix:'), 2);
+      assert.deepEqual((await store.keys()).sort(), ['disney:tv:tv:US:raw', 'tmdb:details:movie:1']);
+      assert.equal(await store.clear(), 2);
+      assert.deepEqual(await store.keys(), []);
+    });
+  });
+}
+
+describe('MemoryStore', () => {
+  it('evicts the least recently used entry once full', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+
+    await store.set('a', entry('a', 1));
+    await store.set('b', entry('b', 2));
+    // Reading a makes b the eviction candidate
+    await store.get('a');
+    await store.set('c', entry('c', 3));
+
+    assert.equal(await store.get('b'), null);
+    assert.equal((await store.get('a')).value, 1);
+    assert.equal((await store.get('c')).value, 3);
+    assert.equal(store.entries.size, 2);
+  });
+});
+
+describe('FileStore', () => {
+  it('keeps entries across restarts and ignores unreadable files', async () => {
+    const directory = path.join(tempDir, 'restart');
+    const key = 'netflix:top10:both:PH:tmdb';
+
+    await new FileStore({ directory }).set(key, entry(key, { count: 20 }));
+    fs.writeFileSync(path.join(directory, `${encodeURIComponent('broken:key')}.json`), '{ not json');
+
+    // A new instance stands in for the restarted process
+    const restarted = new FileStore({ directory });
+    assert.deepEqual((await restarted.get(key)).value, { count: 20 });
+    assert.equal(await restarted.get('broken:key'), null);
+    assert.deepEqual(await restarted.keys(), [key]);
+    assert.ok(!fs.readdirSync(directory).some(file => file.endsWith('.tmp')));
+  });
+});
+
+describe('RedisStore', () => {
+  it('namespaces keys and leaves expiry to the client', async () => {
+    const client = new LocalRedisClient();
+    const store = new RedisStore({ client, local: true, prefix: 'test:' });
+
+    assert.equal(store.name, 'redis-local');
+    await store.set('netflix:tv:tv:PH:raw', entry('netflix:tv:tv:PH:raw', 'ranking', 20));
+
+    assert.equal(client.isOpen, true);
+    assert.deepEqual([...client.data.keys()], ['test:netflix:tv:tv:PH:raw']);
+    assert.ok(client.data.get('test:netflix:tv:tv:PH:raw').expiresAt <= Date.now() + 20);
+
+    await client.set('other:key', 'not ours');
+    assert.deepEqual(await store.keys(), ['netflix:tv:tv:PH:raw']);
+  });
+});
+
+describe('LocalRedisClient', () => {
+  it('supports GET, SET with PX, DEL and SCAN MATCH like node-redis', async () => {
+    const client = new LocalRedisClient();
+    await client.connect();
+
+    assert.equal(await client.set('a:1', 42), 'OK');
+    await client.set('a:2', 'two', { PX: 20 });
+    await client.set('b:1', 'other');
+
+    // Values come back as strings, as from Redis
+    assert.equal(await client.get('a:1'), '42');
+    assert.equal(await client.get('missing'), null);
+
+    const scanned = [];
+    for await (const key of client.scanIterator({ MATCH: 'a:*' })) scanned.push(key);
+    assert.deepEqual(scanned, ['a:1', 'a:2']);
+
+    await sleep(40);
+    assert.equal(await client.get('a:2'), null);
+    assert.equal(await client.del(['a:1', 'a:2', 'missing']), 1);
+    assert.equal(await client.del('b:1'), 1);
+    assert.equal(client.data.size, 0);
+
+    await client.quit();
+    assert.equal(client.isOpen, false);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TokenBucket = require('../src/utils/tokenBucket');
+const { mapWithConcurrency } = require('../src/utils/workerPool');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  it('never runs more than the limit at once and keeps input order', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(ms);
+      running--;
+      return index;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  });
+
+  it('handles an empty list', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+});
+
+describe('TokenBucket', () => {
+  it('allows a burst up to capacity, then paces calls', async () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 20 });
+    const startedAt = Date.now();
+
+    await Promise.all([bucket.take(), bucket.take(), bucket.take(), bucket.take()]);
+
+    // Two free tokens, then two more at 50ms each
+    assert.ok(Date.now() - startedAt >= 90);
+  });
+
+  it('holds every caller while paused', async () => {
+    const bucket = new TokenBucket({ capacity: 5, refillPerSecond: 5 });
+    bucket.pause(100);
+
+    const waited = await bucket.take();
+    assert.ok(waited >= 90);
+  });
+
+  it("doesn't hand out tokens that accrued during a pause", async () => {
+    const bucket = new TokenBucket({ capacity: 10, refillPerSecond: 10 });
+    bucket.pause(200);
+    await sleep(210);
+
+    // The bucket was emptied by the pause, so both tokens have to refill at 100ms each
+    const startedAt = Date.now();
+    await Promise.all([bucket.take(), bucket.take()]);
+    assert.ok(Date.now() - startedAt >= 150);
+  });
+});
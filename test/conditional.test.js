@@ -0,0 +1,102 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const cacheService = require('../src/services/cacheService');
+const { readFixture } = require('./helpers/fixtures');
+
+describe('conditional requests', () => {
+  let historyDir;
+  let server;
+  let baseUrl;
+  const originalHistoryDir = historyService.directory;
+
+  before(async () => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    const { html } = readFixture('ph-table-layout');
+    mock.method(scraperService, 'fetchPage', async () => html);
+
+    server = require('../src/app').listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    historyService.directory = originalHistoryDir;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+    await new Promise(done => server.close(done));
+  });
+
+  it('sends validators and answers If-None-Match and If-Modified-Since with 304', async () => {
+    const url = `${baseUrl}/api/scraper/netflix/MY/tv?tmdb=false`;
+    const first = await fetch(url);
+    const fresh = await first.json();
+    const etag = first.headers.get('etag');
+
+    assert.equal(first.status, 200);
+    assert.equal(etag, `"${fresh.contentHash}"`);
+    assert.equal(first.headers.get('last-modified'), new Date(fresh.scrapedAt).toUTCString());
+    assert.match(first.headers.get('cache-control'), /^public, max-age=\d+$/);
+
+    const byEtag = await fetch(url, { headers: { 'If-None-Match': etag } });
+    assert.equal(byEtag.status, 304);
+    assert.equal(await byEtag.text(), '');
+
+    const byDate = await fetch(url, { headers: { 'If-Modified-Since': first.headers.get('last-modified') } });
+    assert.equal(byDate.status, 304);
+
+    // Another representation of the same ranking doesn't match
+    assert.equal((await fetch(`${url}&explain=false&details=basic`, { headers: { 'If-None-Match': '"something-else"' } })).status, 200);
+  });
+
+  it('reports when the cached copy was stored rather than the time of the request', async () => {
+    const url = `${baseUrl}/api/scraper/netflix/TH/movies?tmdb=false`;
+    const fresh = await (await fetch(url)).json();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const cached = await (await fetch(url)).json();
+
+    assert.equal(fresh.cached, false);
+    assert.equal(cached.cached, true);
+    assert.equal(cached.cachedAt, fresh.cachedAt);
+    assert.equal(cached.cacheTimestamp, fresh.cachedAt);
+    assert.equal(cached.scrapedAt, fresh.scrapedAt);
+  });
+
+  it('keeps Last-Modified when a re-scrape finds the same ranking', async () => {
+    const url = `${baseUrl}/api/scraper/netflix/VN/tv?tmdb=false`;
+    const first = await (await fetch(url)).json();
+    await cacheService.delete('netflix:tv:tv:VN:raw');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const response = await fetch(url);
+    const second = await response.json();
+
+    assert.equal(second.cached, false);
+    assert.notEqual(second.scrapedAt, first.scrapedAt);
+    assert.equal(second.contentHash, first.contentHash);
+    assert.equal(second.lastModified, first.lastModified);
+    assert.equal(response.headers.get('last-modified'), new Date(first.scrapedAt).toUTCString());
+  });
+
+  it('answers conditional history and aggregate requests with 304', async () => {
+    for (const url of [
+      `${baseUrl}/api/scraper/netflix/history?country=MY&type=tv`,
+      `${baseUrl}/api/scraper/netflix/aggregate?countries=MY,VN&tmdb=false`
+    ]) {
+      const first = await fetch(url);
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('cache-control'), 'no-cache');
+
+      const second = await fetch(url, { headers: { 'If-None-Match': first.headers.get('etag') } });
+      assert.equal(second.status, 304);
+    }
+  });
+});
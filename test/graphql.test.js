@@ -0,0 +1,192 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const matchService = require('../src/services/matchService');
+const tmdbClient = require('../src/services/tmdbClient');
+const graphqlController = require('../src/controllers/graphqlController');
+const { getIntrospectionQuery } = require('graphql');
+const { startTmdbStub } = require('./stubs/tmdbStub');
+const { readFixture } = require('./helpers/fixtures');
+
+describe('GraphQL endpoint', () => {
+  let tempDir;
+  let stub;
+  let server;
+  let baseUrl;
+  let fetchPage;
+  const originalConfig = { baseUrl: tmdbClient.baseUrl, apiKey: tmdbClient.apiKey };
+  const originalHistoryDir = historyService.directory;
+  const originalMatchFile = matchService.file;
+
+  const query = async (text, variables) => {
+    const response = await fetch(`${baseUrl}/graphql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: text, variables })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-graphql-'));
+    historyService.directory = path.join(tempDir, 'history');
+    matchService.file = path.join(tempDir, 'tmdb-matches.json');
+    matchService.matches = null;
+
+    stub = await startTmdbStub();
+    tmdbClient.configure({ baseUrl: stub.url, apiKey: 'stub-key' });
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    const { html } = readFixture('ph-table-layout');
+    fetchPage = mock.method(scraperService, 'fetchPage', async () => html);
+
+    server = require('../src/app').listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    tmdbClient.configure(originalConfig);
+    historyService.directory = originalHistoryDir;
+    matchService.file = originalMatchFile;
+    matchService.matches = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    await stub.close();
+    await new Promise(done => server.close(done));
+  });
+
+  it('filters ranking items by category and rank range, reusing the cache', async () => {
+    const text = `query ($country: String) {
+      ranking(country: $country, tmdb: false) {
+        type cached count
+        country { code name }
+        movies: items(category: MOVIE, maxRank: 2) { rank title category }
+        tail: items(category: TV_SHOW, minRank: 9) { rank title }
+      }
+    }`;
+
+    const first = await query(text, { country: 'ph' });
+    assert.equal(first.status, 200);
+    const { ranking } = first.body.data;
+    assert.equal(ranking.type, 'BOTH');
+    assert.equal(ranking.cached, false);
+    assert.equal(ranking.count, 20);
+    assert.deepEqual(ranking.country, { code: 'PH', name: 'Philippines' });
+    assert.deepEqual(ranking.movies, [
+      { rank: 1, title: 'Back in Action', category: 'MOVIE' },
+      { rank: 2, title: 'Ad Vitam', category: 'MOVIE' }
+    ]);
+    assert.deepEqual(ranking.tail.map(item => item.rank), [9, 10]);
+
+    const scrapes = fetchPage.mock.callCount();
+    const second = await query(text, { country: 'PH' });
+    assert.equal(second.body.data.ranking.cached, true);
+    assert.equal(fetchPage.mock.callCount(), scrapes);
+  });
+
+  it('links items to TMDB titles and only fetches details when asked for', async () => {
+    const { body } = await query(`{
+      ranking(country: "PH", type: MOVIES) {
+        items(maxRank: 1) { title tmdb { tmdbId mediaType tmdbUrl details { runtime genres cast { name } } } }
+      }
+    }`);
+    const [item] = body.data.ranking.items;
+
+    assert.equal(body.errors, undefined);
+    assert.equal(item.tmdb.tmdbId, '993710');
+    assert.equal(item.tmdb.mediaType, 'movie');
+    assert.equal(item.tmdb.tmdbUrl, 'https://www.themoviedb.org/movie/993710');
+    assert.equal(item.tmdb.details.runtime, 114);
+    assert.deepEqual(item.tmdb.details.genres, ['Action', 'Comedy']);
+    assert.equal(item.tmdb.details.cast[0].name, 'Jamie Foxx');
+    assert.equal(stub.requests.filter(request => request.path === '/3/movie/993710').length, 1);
+  });
+
+  it('serves stored history, titles and countries', async () => {
+    const { body } = await query(`{
+      history(country: "PH", type: TV) { type count items(maxRank: 1) { title } }
+      title(id: "squid-game-season-2-2025") {
+        name mediaType
+        history(country: "PH") { daysInTop10 peakRank appearances { countryCode type rank } }
+      }
+      unknown: title(id: "no-such-title") { name }
+      countries(platform: "disney") { code }
+      country(code: "zz") { name }
+    }`);
+
+    assert.equal(body.errors, undefined);
+    assert.equal(body.data.history.type, 'TV');
+    assert.equal(body.data.history.count, 10);
+    assert.deepEqual(body.data.history.items, [{ title: 'Squid Game: Season 2' }]);
+    assert.equal(body.data.title.name, 'Squid Game: Season 2');
+    assert.equal(body.data.title.mediaType, 'tv');
+    assert.equal(body.data.title.history.peakRank, 1);
+    assert.deepEqual(body.data.title.history.appearances[0], { countryCode: 'PH', type: 'TV', rank: 1 });
+    assert.equal(body.data.unknown, null);
+    assert.ok(!body.data.countries.some(country => country.code === 'VN'));
+    assert.equal(body.data.country, null);
+  });
+
+  it('reports invalid arguments as errors and malformed queries with 400', async () => {
+    const invalid = await query('{ ranking(country: "XX") { count } }');
+    assert.equal(invalid.status, 200);
+    assert.equal(invalid.body.data, null);
+    assert.equal(invalid.body.errors[0].extensions.code, 'BAD_USER_INPUT');
+    assert.deepEqual(invalid.body.errors[0].path, ['ranking']);
+
+    assert.equal((await query('{ ranking { count ')).status, 400);
+    assert.equal((await query('{ ranking { rating } }')).status, 400);
+    assert.equal((await query('query ($n: Int) { ranking { items(maxRank: $n) { rank } } }', { n: 'ten' })).status, 400);
+
+    const viaGet = await fetch(`${baseUrl}/graphql?query=${encodeURIComponent('{ country(code: "SG") { name } }')}`);
+    assert.deepEqual(await viaGet.json(), { data: { country: { name: 'Singapore' } } });
+    const etag = viaGet.headers.get('etag');
+    const revalidated = await fetch(`${baseUrl}/graphql?query=${encodeURIComponent('{ country(code: "SG") { name } }')}`, { headers: { 'If-None-Match': etag } });
+    assert.equal(revalidated.status, 304);
+  });
+
+  it('loads nested country rankings a couple at a time, within a per-request budget', async () => {
+    const { html } = readFixture('ph-table-layout');
+    let inFlight = 0;
+    let maxInFlight = 0;
+    fetchPage.mock.mockImplementation(async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inFlight--;
+      return html;
+    });
+
+    const originalBudget = graphqlController.maxUncachedRankings;
+    graphqlController.maxUncachedRankings = 3;
+    try {
+      const { status, body } = await query('{ countries { code ranking(type: MOVIES, tmdb: false) { count } } }');
+      const loaded = body.data.countries.filter(country => country.ranking);
+
+      assert.equal(status, 200);
+      assert.equal(loaded.length, 3);
+      assert.equal(body.errors.length, body.data.countries.length - 3);
+      assert.equal(body.errors[0].extensions.code, 'BAD_USER_INPUT');
+      assert.equal(maxInFlight, 2);
+    } finally {
+      graphqlController.maxUncachedRankings = originalBudget;
+    }
+  });
+
+  it('rejects queries nested too deeply but still allows introspection', async () => {
+    const deep = await query('{ ranking { country { ranking { country { ranking { country { ranking { country { ranking { count } } } } } } } } } }');
+    assert.equal(deep.status, 400);
+    assert.match(deep.body.errors[0].message, /nested 10 levels deep; the limit is 8/);
+
+    const introspection = await query(getIntrospectionQuery());
+    assert.equal(introspection.status, 200);
+    assert.ok(introspection.body.data.__schema.types.some(type => type.name === 'RankingItem'));
+  });
+});
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const scraperService = require('../../src/services/scraperService');
+
+// Each fixture is a saved FlixPatrol page (<name>.html) plus the expected parse (<name>.json)
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'flixpatrol');
+
+const listFixtures = () => fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => file.slice(0, -'.html'.length))
+  .sort();
+
+const readFixture = (name) => ({
+  html: fs.readFileSync(path.join(FIXTURE_DIR, `${name}.html`), 'utf8'),
+  expected: JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'))
+});
+
+// Run the parser (table parsing plus its fallbacks) the same way scrapeNetflixTop10 does
+const parseFixture = (html, { countryCode, type }) => {
+  const country = scraperService.resolveCountry(countryCode);
+  const items = scraperService.parseNetflixTop10(html, type, country.name);
+
+  return {
+    items,
+    diagnostics: scraperService.diagnoseParse(items, type, html.length)
+  };
+};
+
+const writeExpected = (name, meta, html) => {
+  const { items, diagnostics } = parseFixture(html, meta);
+  const expected = { ...meta, items, diagnostics };
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.json`), `${JSON.stringify(expected, null, 2)}\n`);
+  return expected;
+};
+
+module.exports = {
+  FIXTURE_DIR,
+  listFixtures,
+  readFixture,
+  parseFixture,
+  writeExpected
+};
@@ -0,0 +1,137 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const historyService = require('../src/services/historyService');
+
+const scrape = (scrapedAt, data) => ({
+  scrapedAt,
+  type: 'tv',
+  countryCode: 'PH',
+  country: 'Philippines',
+  enrichedWithTMDB: false,
+  data: data.map(item => ({ category: 'TV Show', ...item }))
+});
+
+describe('ranking history keyed by FlixPatrol slug', () => {
+  let historyDir;
+  const originalDirectory = historyService.directory;
+
+  before(async () => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    mock.method(console, 'log', () => {});
+
+    await historyService.saveScrape(scrape('2025-03-01T10:00:00Z', [
+      { rank: 1, title: 'Squid Game: Season 2', flixpatrolSlug: 'squid-game-season-2-2025' },
+      { rank: 2, title: 'Running Point', flixpatrolSlug: 'running-point-2025' }
+    ]));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    historyService.directory = originalDirectory;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  });
+
+  it('tracks movement by slug even when the display title changes', async () => {
+    const { data, droppedOut } = await historyService.annotateScrape(scrape('2025-03-02T10:00:00Z', [
+      { rank: 1, title: 'Running Point (2025)', flixpatrolSlug: 'running-point-2025' },
+      { rank: 2, title: 'Squid Game: Season 2', flixpatrolSlug: 'squid-game-season-2-2025' }
+    ]));
+
+    assert.equal(data[0].previousRank, 2);
+    assert.equal(data[0].isNew, false);
+    assert.equal(data[1].rankChange, -1);
+    assert.deepEqual(droppedOut, []);
+  });
+
+  it('looks title history up by slug', async () => {
+    const history = await historyService.getTitleHistory('running-point-2025');
+
+    assert.equal(history.flixpatrolSlug, 'running-point-2025');
+    assert.equal(history.tmdbId, null);
+    assert.equal(history.title, 'Running Point');
+    assert.equal(history.peakRank, 2);
+  });
+});
+
+describe('movement against stored snapshots', () => {
+  let historyDir;
+  const originalDirectory = historyService.directory;
+  const originalLookbackDays = historyService.lookbackDays;
+
+  const items = (titles) => titles.map((title, index) => ({ rank: index + 1, title, category: 'TV Show' }));
+
+  before(async () => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-movement-'));
+    historyService.directory = historyDir;
+    mock.method(console, 'log', () => {});
+
+    // Gaps between the days, as when scrapes were missed
+    await historyService.saveScrape(scrape('2025-01-01T10:00:00Z', items(['Old Favourite', 'Adolescence'])));
+    await historyService.saveScrape(scrape('2025-03-01T10:00:00Z', items(['Adolescence', 'Zero Day', 'Running Point'])));
+    await historyService.saveScrape(scrape('2025-03-04T10:00:00Z', items(['Zero Day', 'Running Point'])));
+    await historyService.saveScrape(scrape('2025-03-09T10:00:00Z', items(['Running Point', 'Zero Day', 'Old Favourite'])));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    historyService.directory = originalDirectory;
+    historyService.lookbackDays = originalLookbackDays;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  });
+
+  it('compares with the latest earlier snapshot and counts every day charted', async () => {
+    const movement = await historyService.annotateMovement('PH', 'tv', items(['Adolescence', 'Zero Day', 'Squid Game']), '2025-03-10');
+    const [adolescence, zeroDay, squidGame] = movement.items;
+
+    assert.equal(movement.previousDate, '2025-03-09');
+
+    // Back after missing two snapshots: new against the previous day, but its earlier days still count
+    assert.equal(adolescence.previousRank, null);
+    assert.equal(adolescence.rankChange, null);
+    assert.equal(adolescence.isNew, true);
+    assert.equal(adolescence.daysInTop10, 3);
+    assert.equal(adolescence.peakRank, 1);
+
+    assert.equal(zeroDay.previousRank, 2);
+    assert.equal(zeroDay.rankChange, 0);
+    assert.equal(zeroDay.isNew, false);
+    assert.equal(zeroDay.daysInTop10, 4);
+    assert.equal(zeroDay.peakRank, 1);
+
+    assert.equal(squidGame.previousRank, null);
+    assert.equal(squidGame.isNew, true);
+    assert.equal(squidGame.daysInTop10, 1);
+    assert.equal(squidGame.peakRank, 3);
+
+    assert.deepEqual(movement.droppedOut.map(item => [item.title, item.previousRank, item.lastSeen]), [
+      ['Running Point', 1, '2025-03-09'],
+      ['Old Favourite', 3, '2025-03-09']
+    ]);
+  });
+
+  it('ignores snapshots older than the lookback window', async () => {
+    const readFile = mock.method(fs.promises, 'readFile');
+    historyService.lookbackDays = 30;
+    try {
+      const { items: [, , oldFavourite] } = await historyService.annotateMovement('PH', 'tv', items(['Zero Day', 'Running Point', 'Old Favourite']), '2025-03-10');
+
+      // Its #1 on 2025-01-01 is outside the window, so it counts neither toward the days nor the peak
+      assert.equal(oldFavourite.daysInTop10, 2);
+      assert.equal(oldFavourite.peakRank, 3);
+      assert.equal(oldFavourite.previousRank, 3);
+      assert.equal(readFile.mock.callCount(), 3);
+
+      historyService.lookbackDays = 3;
+      const movement = await historyService.annotateMovement('PH', 'tv', items(['Zero Day']), '2025-03-20');
+      assert.equal(movement.previousDate, null);
+      assert.equal(movement.items[0].isNew, null);
+      assert.equal(movement.items[0].daysInTop10, 1);
+    } finally {
+      historyService.lookbackDays = originalLookbackDays;
+    }
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const scraperService = require('../src/services/scraperService');
+const { parseSeasonInfo } = require('../src/utils/seasonParser');
+const { listFixtures, readFixture, parseFixture } = require('./helpers/fixtures');
+
+describe('FlixPatrol parser fixtures', () => {
+  before(() => {
+    // The parser logs every step; keep test output readable
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  for (const name of listFixtures()) {
+    it(`matches the recorded output for ${name}`, () => {
+      const { html, expected } = readFixture(name);
+      const { items, diagnostics } = parseFixture(html, expected);
+
+      assert.deepEqual(items, expected.items);
+      assert.deepEqual(diagnostics, expected.diagnostics);
+    });
+  }
+
+  it('parses the standard table layout entirely from table rows', () => {
+    const { html } = readFixture('ph-table-layout');
+    const { items, diagnostics } = parseFixture(html, { countryCode: 'PH', type: 'both' });
+
+    assert.equal(items.length, 20);
+    assert.ok(items.every(item => item.source === 'table' && item.confidence === 1));
+    assert.equal(items.find(item => item.category === 'TV Show' && item.rank === 1).title, 'Squid Game: Season 2');
+    assert.equal(items.find(item => item.category === 'Movie' && item.rank === 1).title, 'Back in Action');
+    assert.equal(diagnostics.degraded, false);
+  });
+
+  it('splits TV titles into series, season, part and limited-series fields', () => {
+    const { html } = readFixture('ph-table-layout');
+    const { items } = parseFixture(html, { countryCode: 'PH', type: 'both' });
+    const byTitle = Object.fromEntries(items.map(item => [item.title, item]));
+
+    assert.equal(byTitle['Squid Game: Season 2'].seriesTitle, 'Squid Game');
+    assert.equal(byTitle['Squid Game: Season 2'].seasonNumber, 2);
+    assert.equal(byTitle['Kinda Pregnant (Limited Series)'].seriesTitle, 'Kinda Pregnant');
+    assert.equal(byTitle['Kinda Pregnant (Limited Series)'].limitedSeries, true);
+    assert.equal(byTitle['Back in Action'].seriesTitle, undefined);
+
+    assert.deepEqual(parseSeasonInfo('Money Heist: Part 5'), { seriesTitle: 'Money Heist', seasonNumber: null, part: 5, limitedSeries: false });
+    assert.deepEqual(parseSeasonInfo('Bridgerton: Season Three - Part 2'), { seriesTitle: 'Bridgerton', seasonNumber: 3, part: 2, limitedSeries: false });
+    assert.equal(parseSeasonInfo('Part of Me').part, null);
+  });
+
+  it('captures the FlixPatrol slug, URL, points, days and poster per row', () => {
+    const { html } = readFixture('ph-table-layout');
+    const { items } = parseFixture(html, { countryCode: 'PH', type: 'movies' });
+    const [first] = items;
+
+    assert.equal(first.flixpatrolSlug, 'back-in-action-2025');
+    assert.equal(first.flixpatrolUrl, 'https://flixpatrol.com/title/back-in-action-2025/');
+    assert.equal(first.points, 970);
+    assert.equal(first.flixpatrolDays, 2);
+    assert.equal(first.posterUrl, 'https://img.flixpatrol.com/poster/1-movie.jpg');
+  });
+
+  it('leaves FlixPatrol fields null for text-parsed items', () => {
+    const { html } = readFixture('text-only-layout');
+    const { items } = parseFixture(html, { countryCode: 'PH', type: 'tv' });
+
+    assert.ok(items.every(item => item.flixpatrolSlug === null && item.points === null));
+  });
+
+  it('stamps the requested country on every item', () => {
+    const { html } = readFixture('ph-table-layout');
+    const { items } = parseFixture(html, { countryCode: 'SG', type: 'tv' });
+
+    assert.equal(items.length, 10);
+    assert.ok(items.every(item => item.country === 'Singapore'));
+  });
+
+  it('falls back to aggressive text parsing when there are no title links', () => {
+    const { html } = readFixture('text-only-layout');
+    const { items } = parseFixture(html, { countryCode: 'PH', type: 'tv' });
+
+    assert.ok(items.length >= 8);
+    assert.ok(items.every(item => item.source === 'text'));
+    assert.equal(items[0].title, 'Alpha Squad');
+  });
+
+  it('flags a mostly-guessed parse as degraded', () => {
+    const { html } = readFixture('links-only-layout');
+    const { diagnostics } = parseFixture(html, { countryCode: 'PH', type: 'tv' });
+
+    assert.equal(diagnostics.degraded, true);
+    assert.deepEqual(diagnostics.sections[0].guessedRanks, [1, 2, 3]);
+  });
+
+  it('rejects a degraded scrape with ParseDegradedError', async (t) => {
+    const { html } = readFixture('links-only-layout');
+    t.mock.method(scraperService, 'fetchPage', async () => html);
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(
+      scraperService.scrapeNetflixTop10('tv', false, 'PH'),
+      { name: 'ParseDegradedError' }
+    );
+  });
+
+  it('accepts PARSE_MAX_GUESSED_RATIO=0 instead of falling back to the default', (t) => {
+    const original = process.env.PARSE_MAX_GUESSED_RATIO;
+    t.after(() => {
+      if (original === undefined) delete process.env.PARSE_MAX_GUESSED_RATIO;
+      else process.env.PARSE_MAX_GUESSED_RATIO = original;
+    });
+
+    process.env.PARSE_MAX_GUESSED_RATIO = '0';
+    assert.equal(new scraperService.constructor().maxGuessedRatio, 0);
+    process.env.PARSE_MAX_GUESSED_RATIO = 'none';
+    assert.equal(new scraperService.constructor().maxGuessedRatio, 0.5);
+  });
+});
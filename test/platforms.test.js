@@ -0,0 +1,74 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const cacheService = require('../src/services/cacheService');
+const { readFixture } = require('./helpers/fixtures');
+
+describe('platform support', () => {
+  let historyDir;
+  let server;
+  let baseUrl;
+  const originalHistoryDir = historyService.directory;
+  const fetchedUrls = [];
+
+  before(async () => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    const { html } = readFixture('ph-table-layout');
+    mock.method(scraperService, 'fetchPage', async (url) => {
+      fetchedUrls.push(url);
+      return html;
+    });
+
+    const app = require('../src/app');
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    historyService.directory = originalHistoryDir;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+    await new Promise(done => server.close(done));
+  });
+
+  it('builds each platform\'s FlixPatrol URL and rejects unsupported combinations', () => {
+    assert.equal(scraperService.resolveCountry('US', 'prime-video').url, 'https://flixpatrol.com/top10/amazon-prime/united-states/');
+    assert.throws(() => scraperService.resolveCountry('VN', 'disney'), { name: 'ValidationError' });
+    assert.throws(() => scraperService.resolvePlatform('betamax'), { name: 'ValidationError' });
+  });
+
+  it('scrapes a platform into its own history and cache namespace', async () => {
+    const response = await fetch(`${baseUrl}/api/scraper/disney/US/tv?tmdb=false`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.platform, 'disney');
+    assert.ok(body.data.every(item => item.platform === 'Disney+'));
+    assert.equal(fetchedUrls.at(-1), 'https://flixpatrol.com/top10/disney/united-states/');
+    assert.ok(await cacheService.get('disney:tv:tv:US:raw'));
+    assert.ok(fs.existsSync(path.join(historyDir, 'platforms', 'disney', 'US', 'tv')));
+    assert.deepEqual(await historyService.listCountries(), []);
+  });
+
+  it('answers unknown platforms, countries and types with errors', async () => {
+    assert.equal((await fetch(`${baseUrl}/api/scraper/betamax/US/tv`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/scraper/disney/VN/tv`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/scraper/disney/US/weekly`)).status, 404);
+  });
+
+  it('lists the supported platforms', async () => {
+    const { platforms } = await (await fetch(`${baseUrl}/api/scraper/platforms`)).json();
+
+    assert.deepEqual(platforms.map(platform => platform.id), ['netflix', 'disney', 'prime-video', 'hbo-max', 'apple-tv']);
+  });
+});
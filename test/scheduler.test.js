@@ -0,0 +1,135 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('../src/utils/cron');
+const schedulerService = require('../src/services/schedulerService');
+const scraperService = require('../src/services/scraperService');
+const cacheService = require('../src/services/cacheService');
+const scraperController = require('../src/controllers/scraperController');
+
+describe('cron expressions', () => {
+  it('parses wildcards, lists, ranges and steps', () => {
+    const schedule = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+    assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...schedule.hour], [9, 13, 17]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.equal(schedule.month.size, 12);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+  });
+
+  it('rejects malformed and out-of-range fields', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute field out of range/);
+    assert.throws(() => parseCron('* * 0 * *'), /dayOfMonth field out of range/);
+    assert.throws(() => parseCron('* 5-1 * * *'), /hour field out of range/);
+    assert.throws(() => parseCron('* * * * mon'), /Invalid cron dayOfWeek field/);
+  });
+
+  it('finds the next matching minute in UTC, strictly after the given time', () => {
+    const from = new Date('2025-03-10T10:15:30Z'); // a Monday
+
+    assert.equal(nextRun(parseCron('0 * * * *'), from).toISOString(), '2025-03-10T11:00:00.000Z');
+    assert.equal(nextRun(parseCron('15 10 * * *'), from).toISOString(), '2025-03-11T10:15:00.000Z');
+    assert.equal(nextRun(parseCron('30 6 1 * *'), from).toISOString(), '2025-04-01T06:30:00.000Z');
+    assert.equal(nextRun(parseCron('0 0 1 1 *'), from).toISOString(), '2026-01-01T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted, and both otherwise', () => {
+    const from = new Date('2025-03-10T10:15:30Z');
+
+    // The 20th or any Friday: Friday the 14th comes first
+    assert.equal(nextRun(parseCron('0 0 20 * 5'), from).toISOString(), '2025-03-14T00:00:00.000Z');
+    // The 11th or any Sunday: the 11th comes first
+    assert.equal(nextRun(parseCron('0 0 11 * 0'), from).toISOString(), '2025-03-11T00:00:00.000Z');
+    // Only the day of week is restricted: every Friday
+    assert.equal(nextRun(parseCron('0 0 * * 5'), from).toISOString(), '2025-03-14T00:00:00.000Z');
+    // A day that never exists
+    assert.equal(nextRun(parseCron('0 0 31 2 *'), from), null);
+  });
+});
+
+describe('scheduled refresh jobs', () => {
+  const key = cacheService.buildKey({ route: 'tv', type: 'tv', country: 'SG', enriched: true });
+  let scrape;
+  let failure = null;
+
+  const ranking = () => ({
+    success: true,
+    type: 'tv',
+    countryCode: 'SG',
+    country: 'Singapore',
+    scrapedAt: new Date().toISOString(),
+    data: [{ rank: 1, title: 'Squid Game: Season 2', category: 'TV Show' }],
+    count: 1
+  });
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    scrape = mock.method(scraperService, 'scrapeNetflixTop10', async () => {
+      if (failure) throw failure;
+      return ranking();
+    });
+    schedulerService.configure({ schedule: '0 * * * *', countries: ['SG'], types: ['tv'] });
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    schedulerService.stop();
+    schedulerService.jobs.clear();
+    schedulerService.schedule = null;
+    await cacheService.delete(key);
+  });
+
+  beforeEach(() => {
+    scrape.mock.resetCalls();
+    failure = null;
+  });
+
+  it('records failures and clears them after the next successful run', async () => {
+    const job = schedulerService.jobs.get('netflix:SG');
+
+    failure = new Error('FlixPatrol is down');
+    await schedulerService.runJob(job);
+    assert.equal(job.lastError.message, 'FlixPatrol is down');
+    assert.equal(job.lastSuccessAt, null);
+    assert.equal(await cacheService.get(key), null);
+
+    failure = null;
+    await schedulerService.runJob(job);
+    assert.equal(job.lastError, null);
+    assert.ok(job.lastSuccessAt);
+    assert.equal(job.running, false);
+    assert.equal((await cacheService.get(key)).value.data[0].title, 'Squid Game: Season 2');
+    assert.equal(schedulerService.getStatus().jobs[0].lastError, null);
+  });
+
+  it('shares one scrape between concurrent runs of a job', async () => {
+    const job = schedulerService.jobs.get('netflix:SG');
+
+    await Promise.all([schedulerService.runJob(job), schedulerService.runJob(job), schedulerService.triggerJob('SG')]);
+    assert.equal(scrape.mock.callCount(), 1);
+  });
+
+  it('refreshes a scheduled ranking whose cache entry was evicted instead of answering 503', async () => {
+    schedulerService.started = true;
+    try {
+      await cacheService.delete(key);
+
+      const { result, cached } = await scraperController.loadRanking({ route: 'tv', type: 'tv', country: 'SG', enriched: true });
+      assert.equal(result.data[0].title, 'Squid Game: Season 2');
+      assert.equal(result.stale, undefined);
+      assert.equal(cached, false);
+      assert.equal(scrape.mock.callCount(), 1);
+
+      // A failed refresh falls back to the last good copy
+      await cacheService.delete(key);
+      failure = new Error('FlixPatrol is down');
+      const fallback = await scraperController.loadRanking({ route: 'tv', type: 'tv', country: 'SG', enriched: true });
+      assert.equal(fallback.result.stale, true);
+    } finally {
+      schedulerService.started = false;
+    }
+  });
+});
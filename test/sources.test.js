@@ -0,0 +1,157 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const cacheService = require('../src/services/cacheService');
+const NetflixOfficialSource = require('../src/services/sources/netflixOfficialSource');
+const ExcelJS = require('exceljs');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'netflix');
+const PH = { code: 'PH', name: 'Philippines' };
+const NETFLIX = { name: 'Netflix' };
+
+describe('netflix official source', () => {
+  it('reads the TSV and XLSX downloads into the same ranking for the latest week', async () => {
+    const globalFile = path.join(FIXTURES_DIR, 'all-weeks-global.tsv');
+    const tsv = new NetflixOfficialSource({ file: path.join(FIXTURES_DIR, 'all-weeks-countries.tsv'), globalFile });
+    const xlsx = new NetflixOfficialSource({ file: path.join(FIXTURES_DIR, 'all-weeks-countries.xlsx'), globalFile });
+
+    mock.method(console, 'log', () => {});
+    const fromTsv = await tsv.fetchRanking({ platform: NETFLIX, country: PH, type: 'both' });
+    const fromXlsx = await xlsx.fetchRanking({ platform: NETFLIX, country: PH, type: 'both' });
+    mock.restoreAll();
+
+    assert.equal(fromTsv.week, '2025-01-12');
+    assert.deepEqual(fromXlsx.data, fromTsv.data);
+    assert.deepEqual(fromTsv.data.map(item => item.category), [...Array(10).fill('TV Show'), 'Movie', 'Movie', 'Movie']);
+
+    const [squidGame] = fromTsv.data;
+    assert.equal(squidGame.title, 'Squid Game: Season 2');
+    assert.equal(squidGame.seasonNumber, 2);
+    assert.equal(squidGame.hoursViewed, 79300000);
+    assert.equal(squidGame.views, 10800000);
+    assert.equal(squidGame.flixpatrolSlug, null);
+
+    const film = fromTsv.data[11];
+    assert.equal(film.title, 'Carry-On');
+    assert.equal(film.hoursViewed, null);
+  });
+
+  it('reads weeks stored as dates and ignores sheets after the first', async (t) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Top 10').addRows([
+      ['country_name', 'country_iso2', 'week', 'category', 'weekly_rank', 'show_title', 'season_title', 'cumulative_weeks_in_top_10'],
+      ['Philippines', 'PH', new Date('2025-01-12T00:00:00Z'), 'Films (English)', 1, 'Back in Action', 'N/A', 1],
+      ['Philippines', 'PH', new Date('2025-01-05T00:00:00Z'), 'Films (English)', 1, 'Carry-On', { richText: [{ text: 'N/' }, { text: 'A' }] }, 3]
+    ]);
+    workbook.addWorksheet('About').addRow(['country_iso2', 'week']).commit();
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-xlsx-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'all-weeks-countries.xlsx');
+    await workbook.xlsx.writeFile(file);
+
+    t.mock.method(console, 'log', () => {});
+    const { week, data } = await new NetflixOfficialSource({ file }).fetchRanking({ platform: NETFLIX, country: PH, type: 'movies' });
+
+    assert.equal(week, '2025-01-12');
+    assert.deepEqual(data.map(item => [item.rank, item.title, item.weeksInTop10]), [[1, 'Back in Action', 1]]);
+  });
+});
+
+describe('source selection', () => {
+  let historyDir;
+  let server;
+  let baseUrl;
+  const official = scraperService.sources['netflix-official'];
+  const originalHistoryDir = historyService.directory;
+  const originalFile = official.file;
+
+  before(async () => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    official.file = path.join(FIXTURES_DIR, 'all-weeks-countries.tsv');
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(scraperService, 'fetchPage', async () => {
+      throw new Error('FlixPatrol should not be fetched');
+    });
+
+    const app = require('../src/app');
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    official.file = originalFile;
+    historyService.directory = originalHistoryDir;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+    await new Promise(done => server.close(done));
+  });
+
+  it('serves ?source=netflix-official from the file into its own cache and history namespace', async () => {
+    const response = await fetch(`${baseUrl}/api/scraper/netflix/US/movies?source=netflix-official&tmdb=false`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.source, 'netflix-official');
+    assert.equal(body.week, '2025-01-12');
+    assert.deepEqual(body.data.map(item => item.title), ['Back in Action']);
+    assert.ok(await cacheService.get('netflix:movies:movies:US:raw:netflix-official'));
+    assert.equal(await cacheService.get('netflix:movies:movies:US:raw'), null);
+    assert.ok(fs.existsSync(path.join(historyDir, 'sources', 'netflix-official', 'US', 'movies')));
+    assert.equal(cacheService.parseKey('netflix:movies:movies:US:raw:netflix-official').source, 'netflix-official');
+  });
+
+  it('keys official snapshots by week and compares them with the previous week', async () => {
+    const history = historyService.forPlatform('netflix', 'netflix-official');
+    await history.saveSnapshot({
+      date: '2025-01-05',
+      countryCode: 'PH',
+      type: 'movies',
+      scrapedAt: '2025-01-07T00:00:00.000Z',
+      enrichedWithTMDB: false,
+      items: [{ rank: 3, title: 'Back in Action', category: 'Movie' }, { rank: 1, title: 'Carry-On', category: 'Movie' }]
+    });
+
+    // Reading the same week again, e.g. on the next day, compares with the previous week, not itself
+    let body;
+    for (let scrape = 0; scrape < 2; scrape++) {
+      await cacheService.delete('netflix:movies:movies:PH:raw:netflix-official');
+      body = await (await fetch(`${baseUrl}/api/scraper/netflix/PH/movies?source=netflix-official&tmdb=false`)).json();
+    }
+
+    assert.deepEqual(await history.listDates('PH', 'movies'), ['2025-01-05', '2025-01-12']);
+    assert.deepEqual(body.comparedTo, { movies: '2025-01-05' });
+
+    const backInAction = body.data.find(item => item.title === 'Back in Action');
+    assert.equal(backInAction.previousRank, 3);
+    assert.equal(backInAction.rankChange, 2);
+    assert.equal(backInAction.isNew, false);
+    assert.equal(backInAction.daysInTop10, undefined);
+    assert.equal(backInAction.weeksInTop10, 1);
+    assert.equal(body.data.find(item => item.title === 'Carry-On').previousRank, 1);
+  });
+
+  it('rejects unknown sources and sources without data for the platform', async () => {
+    assert.equal((await fetch(`${baseUrl}/api/scraper/netflix/top10?source=imdb`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/scraper/disney/US/tv?source=netflix-official`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/scraper/netflix/JP/tv?source=netflix-official&tmdb=false`)).status, 404);
+  });
+
+  it('answers 503 when no official file is configured', async () => {
+    official.file = null;
+    try {
+      const response = await fetch(`${baseUrl}/api/scraper/netflix/PH/tv?source=netflix-official&tmdb=false`);
+      assert.equal(response.status, 503);
+    } finally {
+      official.file = path.join(FIXTURES_DIR, 'all-weeks-countries.tsv');
+    }
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const cacheService = require('../src/services/cacheService');
+const streamService = require('../src/services/streamService');
+const { readFixture } = require('./helpers/fixtures');
+
+// Minimal SSE client: next() resolves with the next block, either { comment } or { id, event, data }
+async function openStream(url, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { headers, signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const next = async () => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const fields = {};
+        for (const line of block.split('\n')) {
+          if (line.startsWith(':')) return { comment: line.slice(1).trim() };
+          const [name, ...rest] = line.split(': ');
+          fields[name] = rest.join(': ');
+        }
+        if (fields.retry) continue;
+        return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+      }
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error('stream closed');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+
+  return { response, next, close: () => controller.abort() };
+}
+
+describe('ranking stream', () => {
+  let historyDir;
+  let server;
+  let baseUrl;
+  let html;
+  const originalHistoryDir = historyService.directory;
+  const originalHeartbeatMs = streamService.heartbeatMs;
+
+  before(async () => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    html = readFixture('ph-table-layout').html;
+    mock.method(scraperService, 'fetchPage', async () => html);
+
+    server = require('../src/app').listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    streamService.heartbeatMs = originalHeartbeatMs;
+    historyService.directory = originalHistoryDir;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+    server.closeAllConnections();
+    await new Promise(done => server.close(done));
+  });
+
+  it('sends the full ranking on connect, then a delta when a fresh scrape changes it', async () => {
+    const stream = await openStream(`${baseUrl}/api/scraper/netflix/stream?country=SG&type=tv&tmdb=false`);
+    assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+
+    const ranking = await stream.next();
+    assert.equal(ranking.event, 'ranking');
+    assert.equal(ranking.data.countryCode, 'SG');
+    assert.equal(ranking.data.count, 10);
+    assert.equal(ranking.data.data[0].title, 'Squid Game: Season 2');
+
+    // Same content again: nothing is pushed
+    await cacheService.delete('netflix:tv:tv:SG:raw');
+    await fetch(`${baseUrl}/api/scraper/netflix/SG/tv?tmdb=false`);
+
+    html = html.replace(/ang-probinsyano-2025/g, 'the-night-agent-2025').replace(/Ang Probinsyano/g, 'The Night Agent');
+    await cacheService.delete('netflix:tv:tv:SG:raw');
+    await fetch(`${baseUrl}/api/scraper/netflix/SG/tv?tmdb=false`);
+
+    const delta = await stream.next();
+    stream.close();
+
+    assert.equal(delta.event, 'delta');
+    assert.equal(delta.data.previousHash, ranking.data.contentHash);
+    assert.deepEqual(delta.data.changes.map(change => [change.kind, change.title]), [
+      ['new_entry', 'The Night Agent'],
+      ['dropped_out', 'Ang Probinsyano']
+    ]);
+    assert.deepEqual(delta.data.upserts.map(item => [item.rank, item.title]), [[10, 'The Night Agent']]);
+
+    // Resuming from the ranking replays the delta; an unknown ID gets the full ranking again
+    const resumed = await openStream(`${baseUrl}/api/scraper/netflix/stream?country=SG&type=tv&tmdb=false`, { 'Last-Event-ID': ranking.id });
+    const replayed = await resumed.next();
+    resumed.close();
+    assert.equal(replayed.id, delta.id);
+    assert.equal(replayed.event, 'delta');
+
+    const restarted = await openStream(`${baseUrl}/api/scraper/netflix/stream?country=SG&type=tv&tmdb=false`, { 'Last-Event-ID': 'old-boot-7' });
+    const full = await restarted.next();
+    restarted.close();
+    assert.equal(full.event, 'ranking');
+    assert.equal(full.id, delta.id);
+    assert.equal(full.data.data[9].title, 'The Night Agent');
+  });
+
+  it('sends heartbeat comments', async () => {
+    streamService.heartbeatMs = 20;
+    const stream = await openStream(`${baseUrl}/api/scraper/netflix/stream?country=SG&type=tv&tmdb=false`);
+
+    assert.equal((await stream.next()).event, 'ranking');
+    assert.deepEqual(await stream.next(), { comment: 'heartbeat' });
+    stream.close();
+  });
+
+  it('rejects invalid stream parameters before opening the stream', async () => {
+    const response = await fetch(`${baseUrl}/api/scraper/netflix/stream?type=weekly`);
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,128 @@
+// Local stand-in for the TMDB v3 API serving canned search, details, season and alternative title responses from test/fixtures/tmdb.
+// Point TMDB_BASE_URL at it to run enrichment end to end without a key or network:
+//
+//   npm run tmdb-stub                       # listens on TMDB_STUB_PORT (default 4010)
+//   TMDB_BASE_URL=http://localhost:4010/3 TMDB_API_KEY=stub npm start
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'tmdb');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+
+const loadCannedData = () => ({
+  search: readJson('search.json'),
+  details: readJson('details.json'),
+  alternativeTitles: readJson('alternative_titles.json'),
+  seasons: readJson('seasons.json')
+});
+
+// Loose query matching, roughly like TMDB's own search: case and punctuation don't matter
+const normalizeQuery = (query) => String(query || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const createTmdbStub = (data = loadCannedData()) => {
+  const app = express();
+  const requests = [];
+  const failures = [];
+
+  app.use((req, res, next) => {
+    requests.push({ path: req.path, query: { ...req.query } });
+
+    // Mirror TMDB: every call needs an api_key
+    if (!req.query.api_key) {
+      return res.status(401).json({ status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.', success: false });
+    }
+
+    // Queued failures from failNext(), e.g. a 429 with Retry-After
+    const failure = failures.shift();
+    if (failure) {
+      return res.status(failure.status).set(failure.headers).json({ status_code: 25, status_message: 'Your request count is over the allowed limit.', success: false });
+    }
+    next();
+  });
+
+  app.get('/3/search/:mediaType', (req, res) => {
+    const { mediaType } = req.params;
+    if (!['movie', 'tv', 'multi'].includes(mediaType)) {
+      return res.status(404).json({ status_code: 34, status_message: 'The resource you requested could not be found.', success: false });
+    }
+
+    const results = (data.search[mediaType] || {})[normalizeQuery(req.query.query)] || [];
+    res.json({ page: 1, results, total_pages: 1, total_results: results.length });
+  });
+
+  app.get('/3/tv/:id/season/:seasonNumber', (req, res) => {
+    const season = ((data.seasons || {})[req.params.id] || {})[req.params.seasonNumber];
+    if (!season) {
+      return res.status(404).json({ status_code: 34, status_message: 'The resource you requested could not be found.', success: false });
+    }
+    res.json(season);
+  });
+
+  app.get('/3/:mediaType(movie|tv)/:id/alternative_titles', (req, res) => {
+    const titles = ((data.alternativeTitles || {})[req.params.mediaType] || {})[req.params.id];
+    if (!titles) {
+      return res.status(404).json({ status_code: 34, status_message: 'The resource you requested could not be found.', success: false });
+    }
+
+    // Movies list them under "titles", TV shows under "results"
+    const key = req.params.mediaType === 'movie' ? 'titles' : 'results';
+    res.json({ id: parseInt(req.params.id), [key]: titles });
+  });
+
+  // Details, with credits/videos only included when asked for via append_to_response
+  app.get('/3/:mediaType(movie|tv)/:id', (req, res) => {
+    const details = (data.details[req.params.mediaType] || {})[req.params.id];
+    if (!details) {
+      return res.status(404).json({ status_code: 34, status_message: 'The resource you requested could not be found.', success: false });
+    }
+
+    const appended = String(req.query.append_to_response || '').split(',');
+    const body = { ...details };
+    for (const key of ['credits', 'videos']) {
+      if (!appended.includes(key)) delete body[key];
+    }
+    res.json(body);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ status_code: 34, status_message: 'The resource you requested could not be found.', success: false });
+  });
+
+  app.locals.requests = requests;
+  app.locals.failNext = (count = 1, status = 429, headers = { 'Retry-After': '1' }) => {
+    for (let i = 0; i < count; i++) failures.push({ status, headers });
+  };
+  return app;
+};
+
+// Resolves with { url, requests, failNext, close } once listening; port 0 picks a free port
+const startTmdbStub = ({ port = 0, data } = {}) => new Promise((resolve, reject) => {
+  const app = createTmdbStub(data);
+  const server = app.listen(port, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}/3`,
+      requests: app.locals.requests,
+      failNext: app.locals.failNext,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+  server.on('error', reject);
+});
+
+if (require.main === module) {
+  startTmdbStub({ port: parseInt(process.env.TMDB_STUB_PORT) || 4010 }).then(({ url }) => {
+    console.log(`🎭 TMDB stub listening, set TMDB_BASE_URL=${url}`);
+  });
+}
+
+module.exports = {
+  createTmdbStub,
+  startTmdbStub,
+  normalizeQuery
+};
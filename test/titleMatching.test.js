@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTitle, transliterate, tokenSetSimilarity, compareTitles } = require('../src/utils/titleMatching');
+
+describe('title matching', () => {
+  it('folds diacritics and keeps non-Latin scripts', () => {
+    assert.equal(normalizeTitle('Élite: Temporada 8'), 'elite temporada 8');
+    assert.equal(normalizeTitle('오징어 게임'), '오징어 게임');
+    assert.equal(normalizeTitle('Love, Death & Robots'), 'love death and robots');
+  });
+
+  it('transliterates to Latin script', () => {
+    assert.equal(transliterate('오징어 게임'), 'ojingeo geim');
+    assert.equal(transliterate('Ёлки'), 'elki');
+  });
+
+  it('ignores word order in token-set similarity', () => {
+    assert.equal(tokenSetSimilarity('game squid', 'squid game'), 1);
+    assert.ok(tokenSetSimilarity('squid game', 'zero day') < 0.5);
+  });
+
+  it('compares titles natively and transliterated', () => {
+    assert.equal(compareTitles('Elite', 'Élite').kind, 'exact');
+    assert.equal(compareTitles('Ojingeo Geim', '오징어 게임').kind, 'exact');
+    assert.equal(compareTitles('Squid Game: Season 2', 'Squid Game').kind, 'partial');
+    assert.equal(compareTitles('Running Point', 'Zero Day').kind, 'similar');
+  });
+});
@@ -0,0 +1,428 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const tmdbClient = require('../src/services/tmdbClient');
+const matchService = require('../src/services/matchService');
+const { loadScoringConfig } = require('../src/config/matchScoring');
+const { parseSeasonInfo } = require('../src/utils/seasonParser');
+const { startTmdbStub } = require('./stubs/tmdbStub');
+const { readFixture } = require('./helpers/fixtures');
+
+describe('TMDB enrichment against the local stub', () => {
+  let stub;
+  let historyDir;
+  const originalConfig = { baseUrl: tmdbClient.baseUrl, apiKey: tmdbClient.apiKey };
+  const originalHistoryDir = historyService.directory;
+  const originalMatchFile = matchService.file;
+
+  before(async () => {
+    stub = await startTmdbStub();
+    tmdbClient.configure({ baseUrl: stub.url, apiKey: 'stub-key' });
+
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    matchService.file = path.join(historyDir, 'tmdb-matches.json');
+    matchService.matches = null;
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    tmdbClient.configure(originalConfig);
+    historyService.directory = originalHistoryDir;
+    matchService.file = originalMatchFile;
+    matchService.matches = null;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  it('searches through the configured base URL with the API key and region', async () => {
+    const match = await scraperService.searchTMDB('Back in Action', 'movie', 'PH');
+
+    assert.equal(match.tmdb_id, 993710);
+    assert.equal(match.search_strategy_used, 1);
+    assert.equal(stub.requests[0].path, '/3/search/movie');
+    assert.equal(stub.requests[0].query.api_key, 'stub-key');
+    assert.equal(stub.requests[0].query.region, 'PH');
+  });
+
+  it('prefers the recent local title for the Philippines', async () => {
+    const match = await scraperService.searchTMDB('Forbidden Fruit', 'tv', 'PH');
+
+    assert.equal(match.tmdb_id, 261579);
+  });
+
+  it('tries every search strategy before giving up', async () => {
+    const match = await scraperService.searchTMDB('Completely Unknown Title', 'tv', 'PH');
+
+    assert.equal(match, null);
+    assert.equal(stub.requests.length, 4);
+  });
+
+  it('matches titles with diacritics or in their original script', async () => {
+    const elite = await scraperService.searchTMDB('Elite', 'tv', 'ES');
+    const squidGame = await scraperService.searchTMDB('오징어 게임', 'tv', 'KR');
+
+    assert.equal(elite.tmdb_id, 76669);
+    assert.equal(squidGame.tmdb_id, 93405);
+    assert.ok(!stub.requests.some(request => request.path.endsWith('/alternative_titles')));
+  });
+
+  it('checks alternative titles when no title matches exactly', async () => {
+    const match = await scraperService.searchTMDB('El juego del calamar', 'tv', 'ES');
+
+    assert.equal(match.tmdb_id, 93405);
+    assert.ok(stub.requests.some(request => request.path === '/3/tv/93405/alternative_titles'));
+  });
+
+  it('falls back to multi search when the typed search finds nothing', async () => {
+    const [item] = await scraperService.enrichWithTMDB([{ rank: 10, title: 'Ang Probinsyano', category: 'TV Show' }], 'PH');
+
+    assert.equal(item.tmdb_id, 63491);
+    assert.equal(item.tmdb_media_type, 'tv');
+    assert.ok(stub.requests.some(request => request.path === '/3/search/multi'));
+  });
+
+  it('enriches a scraped ranking end to end', async (t) => {
+    const { html } = readFixture('ph-table-layout');
+    t.mock.method(scraperService, 'fetchPage', async () => html);
+
+    const result = await scraperService.scrapeNetflixTop10('tv', true, 'PH');
+    const byTitle = Object.fromEntries(result.data.map(item => [item.title, item]));
+
+    assert.equal(result.enrichedWithTMDB, true);
+    assert.equal(byTitle['Squid Game: Season 2'].tmdb_id, 93405);
+    assert.equal(byTitle['Squid Game: Season 2'].tmdb_season.tmdb_season_id, 404321);
+    assert.equal(byTitle['Squid Game: Season 2'].tmdb_season.episode_count, 7);
+    assert.equal(byTitle['Love Is Blind: Season 8'].tmdb_season, undefined);
+    assert.equal(byTitle['Zero Day'].tmdb_id, 227003);
+    assert.equal(byTitle['Zero Day'].tmdb_season, undefined);
+    assert.equal(byTitle['Running Point'].tmdb_id, undefined);
+    assert.equal(result.timing.tmdb.lookups, result.data.length);
+    assert.equal(result.timing.tmdb.concurrency, scraperService.tmdbConcurrency);
+    assert.ok(result.timing.totalMs >= result.timing.tmdbMs);
+  });
+
+  it('waits out a 429 for the Retry-After period and retries', async () => {
+    stub.failNext(1, 429, { 'Retry-After': '1' });
+    const startedAt = Date.now();
+    const match = await scraperService.searchTMDB('Zero Day', 'tv', 'US');
+
+    assert.equal(match.tmdb_id, 227003);
+    assert.ok(Date.now() - startedAt >= 900);
+    assert.equal(stub.requests.length, 2);
+    assert.deepEqual(stub.requests[0], stub.requests[1]);
+  });
+
+  it('gives up on a 429 straight away with TMDB_MAX_RETRIES=0', async (t) => {
+    process.env.TMDB_MAX_RETRIES = '0';
+    t.after(() => delete process.env.TMDB_MAX_RETRIES);
+    const client = new tmdbClient.constructor();
+    client.configure({ baseUrl: stub.url, apiKey: 'stub-key' });
+
+    assert.equal(client.maxRetries, 0);
+    stub.failNext(1, 429, { 'Retry-After': '1' });
+    await assert.rejects(client.search('tv', { query: 'Zero Day' }), error => error.response.status === 429);
+    assert.equal(stub.requests.length, 1);
+  });
+
+  it('shares one lookup between concurrent requests for the same title', async () => {
+    const items = await scraperService.enrichWithTMDB([
+      { rank: 1, title: 'Adolescence', category: 'TV Show' },
+      { rank: 1, title: 'Adolescence', category: 'TV Show' },
+      { rank: 1, title: 'Adolescence', category: 'TV Show' }
+    ], 'GB');
+
+    assert.deepEqual(items.map(item => item.tmdb_id), [249042, 249042, 249042]);
+    assert.equal(stub.requests.length, 1);
+  });
+
+  it('remembers search results so repeat titles skip the search', async () => {
+    const [first] = await scraperService.enrichWithTMDB([{ rank: 7, title: 'Hello, Love, Again', category: 'Movie' }], 'PH');
+    stub.requests.length = 0;
+    const [second] = await scraperService.enrichWithTMDB([{ rank: 6, title: 'Hello, Love, Again', category: 'Movie' }], 'PH');
+
+    assert.equal(first.tmdb_match_source, 'search');
+    assert.equal(second.tmdb_id, 1289888);
+    assert.equal(second.tmdb_match_source, 'stored');
+    assert.equal(stub.requests.length, 0);
+
+    const saved = JSON.parse(fs.readFileSync(matchService.file, 'utf8'));
+    assert.equal(saved['PH:movie:hello, love, again'].match.tmdb_id, 1289888);
+  });
+
+  it('lets a pinned TMDB ID win over the scoring logic', async () => {
+    await matchService.pin('Forbidden Fruit', 'PH', 'tv', { tmdb_id: 77713, tmdb_title: 'Forbidden Fruit', tmdb_media_type: 'tv' });
+    const [item] = await scraperService.enrichWithTMDB([{ rank: 3, title: 'Forbidden Fruit', category: 'TV Show' }], 'PH');
+
+    assert.equal(item.tmdb_id, 77713);
+    assert.equal(item.tmdb_match_source, 'override');
+    assert.equal(stub.requests.length, 0);
+  });
+
+  it('keeps search results from replacing an override', async () => {
+    await matchService.pin('Zero Day', 'SG', 'tv', { tmdb_id: 1, tmdb_media_type: 'tv' });
+    await matchService.saveSearchMatch('Zero Day', 'SG', 'tv', { tmdb_id: 227003, tmdb_media_type: 'tv' });
+
+    assert.equal((await matchService.get('zero  day', 'SG', 'tv')).match.tmdb_id, 1);
+  });
+
+  it('skips titles marked as having no match', async () => {
+    await matchService.markNoMatch('Running Point', 'PH', 'tv');
+    const [item] = await scraperService.enrichWithTMDB([{ rank: 5, title: 'Running Point', category: 'TV Show' }], 'PH');
+
+    assert.equal(item.tmdb_id, undefined);
+    assert.equal(stub.requests.length, 0);
+  });
+
+  it('searches and stores seasons and parts under the series title', async () => {
+    const [part] = await scraperService.enrichWithTMDB([
+      { rank: 4, title: 'Money Heist: Part 5', category: 'TV Show', ...parseSeasonInfo('Money Heist: Part 5') }
+    ], 'ES');
+
+    assert.equal(part.tmdb_id, 71446);
+    assert.equal(part.part, 5);
+    assert.ok(stub.requests.every(request => request.query.query !== 'Money Heist: Part 5'));
+    assert.equal((await matchService.get('Money Heist', 'ES', 'tv')).match.tmdb_id, 71446);
+
+    // Another volume of the same show reuses the stored match
+    stub.requests.length = 0;
+    const [volume] = await scraperService.enrichWithTMDB([
+      { rank: 2, title: 'Money Heist: Vol. 2', category: 'TV Show', ...parseSeasonInfo('Money Heist: Vol. 2') }
+    ], 'ES');
+    assert.equal(volume.tmdb_id, 71446);
+    assert.equal(volume.tmdb_match_source, 'stored');
+    assert.equal(stub.requests.length, 0);
+  });
+
+  it('keeps saving matches after a write fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const storeFile = matchService.file;
+    // A regular file where the store's directory should be
+    const blocker = path.join(historyDir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+
+    try {
+      matchService.file = path.join(blocker, 'tmdb-matches.json');
+      await assert.rejects(matchService.pin('Adolescence', 'GB', 'tv', { tmdb_id: 249042, tmdb_media_type: 'tv' }));
+    } finally {
+      matchService.file = storeFile;
+    }
+
+    await matchService.pin('Adolescence', 'GB', 'tv', { tmdb_id: 249042, tmdb_media_type: 'tv' });
+    const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    assert.equal(saved['GB:tv:adolescence'].match.tmdb_id, 249042);
+  });
+});
+
+describe('TMDB full details', () => {
+  let stub;
+  const originalConfig = { baseUrl: tmdbClient.baseUrl, apiKey: tmdbClient.apiKey };
+
+  before(async () => {
+    stub = await startTmdbStub();
+    tmdbClient.configure({ baseUrl: stub.url, apiKey: 'stub-key' });
+    mock.method(console, 'log', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    tmdbClient.configure(originalConfig);
+    await stub.close();
+  });
+
+  it('adds overview, genres, images, cast and trailers in one request per title', async () => {
+    const [movie, show, unmatched] = await scraperService.enrichWithTMDBDetails([
+      { rank: 1, title: 'Back in Action', category: 'Movie', tmdb_id: 993710, tmdb_media_type: 'movie' },
+      { rank: 1, title: 'Squid Game: Season 2', category: 'TV Show', tmdb_id: 93405, tmdb_media_type: 'tv' },
+      { rank: 2, title: 'Running Point', category: 'TV Show' }
+    ]);
+
+    assert.equal(movie.tmdb_details.runtime, 114);
+    assert.deepEqual(movie.tmdb_details.genres, ['Action', 'Comedy']);
+    assert.equal(movie.tmdb_details.poster_url, 'https://image.tmdb.org/t/p/w500/3L3l6LsiLGHkTG4RFB2aBA6BttB.jpg');
+    assert.equal(movie.tmdb_details.cast[0].name, 'Jamie Foxx');
+    assert.deepEqual(movie.tmdb_details.trailers.map(trailer => trailer.key), ['trailer456']);
+
+    assert.equal(show.tmdb_details.number_of_seasons, 3);
+    assert.equal(show.tmdb_details.episode_runtime, 55);
+    assert.equal(unmatched.tmdb_details, null);
+
+    const detailRequests = stub.requests.filter(request => !request.path.startsWith('/3/search'));
+    assert.equal(detailRequests.length, 2);
+    assert.equal(detailRequests[0].query.append_to_response, 'credits,videos');
+  });
+
+  it('serves repeat lookups from the per-title cache', async () => {
+    const before = stub.requests.length;
+    const details = await scraperService.getTMDBDetails(993710, 'movie');
+
+    assert.equal(details.runtime, 114);
+    assert.equal(stub.requests.length, before);
+  });
+});
+
+describe('Match scoring rules', () => {
+  const searchFixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'tmdb', 'search.json'), 'utf8'));
+  const originalScoring = scraperService.matchScoring;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    scraperService.matchScoring = originalScoring;
+  });
+
+  it('adds up the individual score components', () => {
+    const [best] = scraperService.scoreCandidates(searchFixtures.tv['forbidden fruit'], 'Forbidden Fruit', 'PH', 'tv');
+    const total = Object.values(best.score_components).reduce((sum, points) => sum + points, 0);
+
+    assert.equal(best.id, 261579);
+    assert.equal(best.score_components.title, 100);
+    assert.equal(best.score_components.recency, 30);
+    assert.equal(best.score_components.regionalOrigin, 25);
+    assert.equal(best.similarity_score, total);
+  });
+
+  it('reads per-country weights from MATCH_SCORING_FILE', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'match-scoring-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const file = path.join(dir, 'scoring.json');
+    fs.writeFileSync(file, JSON.stringify({
+      countries: { ph: { recency: [{ minYear: 2000, minAge: 1, points: 20 }], regionalOrigin: 0 } }
+    }));
+    scraperService.matchScoring = loadScoringConfig(file);
+
+    const [best] = scraperService.scoreCandidates(searchFixtures.tv['forbidden fruit'], 'Forbidden Fruit', 'PH', 'tv');
+
+    assert.equal(best.id, 77713);
+    assert.equal(best.score_components.regionalOrigin, 0);
+    assert.equal(scraperService.matchScoring.default.title.exact, 100);
+  });
+});
+
+describe('POST /api/scraper/tmdb/lookup', () => {
+  let stub;
+  let server;
+  let baseUrl;
+  let historyDir;
+  const originalConfig = { baseUrl: tmdbClient.baseUrl, apiKey: tmdbClient.apiKey };
+  const originalHistoryDir = historyService.directory;
+  const originalMatchFile = matchService.file;
+
+  const lookup = async (body) => {
+    const response = await fetch(`${baseUrl}/api/scraper/tmdb/lookup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    stub = await startTmdbStub();
+    tmdbClient.configure({ baseUrl: stub.url, apiKey: 'stub-key' });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-history-'));
+    historyService.directory = historyDir;
+    matchService.file = path.join(historyDir, 'tmdb-matches.json');
+    matchService.matches = null;
+
+    const app = require('../src/app');
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    tmdbClient.configure(originalConfig);
+    historyService.directory = originalHistoryDir;
+    matchService.file = originalMatchFile;
+    matchService.matches = null;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+    await new Promise(done => server.close(done));
+    await stub.close();
+  });
+
+  it('returns the match, its score, the strategy and runner-ups per title', async () => {
+    const { status, body } = await lookup([
+      { title: 'Forbidden Fruit', mediaType: 'tv', countryCode: 'PH' },
+      { title: 'Ang Probinsyano', mediaType: 'tv', countryCode: 'ph' },
+      { title: 'Completely Unknown Title', mediaType: 'movie' }
+    ]);
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+    assert.equal(body.matched, 2);
+
+    const [fruit, probinsyano, unknown] = body.results;
+    assert.equal(fruit.match.tmdb_id, 261579);
+    assert.equal(fruit.strategy.number, 1);
+    assert.equal(fruit.strategy.region, 'PH');
+    assert.deepEqual(fruit.runnerUps.map(candidate => candidate.tmdb_id), [77713]);
+    assert.ok(fruit.score > fruit.runnerUps[0].score);
+
+    assert.equal(probinsyano.countryCode, 'PH');
+    assert.equal(probinsyano.match.tmdb_id, 63491);
+    assert.equal(probinsyano.strategy.mediaType, 'multi');
+
+    assert.equal(unknown.match, null);
+    assert.equal(unknown.score, null);
+    assert.deepEqual(unknown.runnerUps, []);
+  });
+
+  it('rejects bodies that are not a valid array of titles', async () => {
+    for (const body of [{ title: 'Zero Day' }, [], [{ mediaType: 'tv' }], [{ title: 'Zero Day', mediaType: 'show' }], [{ title: 'Zero Day', countryCode: 'XX' }], '[{']) {
+      const { status, body: error } = await lookup(body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.equal(error.error, 'Validation Error');
+    }
+  });
+
+  it('lists every candidate with its score components when explain=true', async () => {
+    const response = await fetch(`${baseUrl}/api/scraper/tmdb/lookup?explain=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([{ title: 'Forbidden Fruit', mediaType: 'tv', countryCode: 'PH' }])
+    });
+    const [result] = (await response.json()).results;
+
+    assert.deepEqual(result.candidates.map(candidate => candidate.tmdb_id), [261579, 77713]);
+    assert.deepEqual(Object.keys(result.candidates[0].components), ['title', 'recency', 'regionalOrigin', 'popularity', 'voteAverage', 'oldTitlePenalty']);
+    assert.equal(result.candidates[0].components.recency, 30);
+  });
+
+  it('explains the match behind each ranking item', async (t) => {
+    const { html } = readFixture('ph-table-layout');
+    t.mock.method(scraperService, 'fetchPage', async () => html);
+
+    const response = await fetch(`${baseUrl}/api/scraper/netflix/PH/tv?explain=true`);
+    const body = await response.json();
+    const squidGame = body.data.find(item => item.title === 'Squid Game: Season 2');
+
+    assert.equal(response.status, 200);
+    assert.equal(body.explain, true);
+    assert.equal(squidGame.tmdb_explain.candidates[0].tmdb_id, squidGame.tmdb_id);
+    assert.ok('components' in squidGame.tmdb_explain.candidates[0]);
+
+    const invalid = await fetch(`${baseUrl}/api/scraper/netflix/PH/tv?explain=true&tmdb=false`);
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,224 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const scraperService = require('../src/services/scraperService');
+const historyService = require('../src/services/historyService');
+const cacheService = require('../src/services/cacheService');
+const webhookService = require('../src/services/webhookService');
+const { readFixture } = require('./helpers/fixtures');
+
+const ADMIN_KEY = 'test-admin-key';
+const SECRET = 'webhook-test-secret-0123';
+
+// The next day's page: #1 and #2 swap places and a new title replaces #10
+function changedRanking(html) {
+  const first = html.match(/<a href="\/title\/squid-game-season-2-2025\/"[\s\S]*?<\/a>/)[0];
+  const second = html.match(/<a href="\/title\/the-trauma-code-heroes-on-call-2025\/"[\s\S]*?<\/a>/)[0];
+
+  return html
+    .replace(first, '@@FIRST@@')
+    .replace(second, first)
+    .replace('@@FIRST@@', second)
+    .replace(/ang-probinsyano-2025/g, 'the-night-agent-2025')
+    .replace(/Ang Probinsyano/g, 'The Night Agent');
+}
+
+describe('webhook diffs', () => {
+  it('reports new entries, rank changes, a new #1 and titles that dropped out', () => {
+    const sameTitle = (a, b) => a.title === b.title;
+    const previous = [{ rank: 1, title: 'A' }, { rank: 2, title: 'B' }, { rank: 3, title: 'C' }];
+    const current = [{ rank: 1, title: 'B' }, { rank: 2, title: 'A' }, { rank: 3, title: 'D' }];
+
+    const events = webhookService.diffRankings(previous, current, sameTitle);
+
+    assert.deepEqual(events.map(event => [event.kind, event.title, event.rank, event.previousRank]), [
+      ['rank_change', 'B', 1, 2],
+      ['rank_change', 'A', 2, 1],
+      ['new_entry', 'D', 3, null],
+      ['top_change', 'B', 1, 2],
+      ['dropped_out', 'C', null, 3]
+    ]);
+    assert.equal(events[3].replaced.title, 'A');
+    assert.deepEqual(webhookService.diffRankings(null, current, sameTitle), []);
+  });
+});
+
+describe('webhook subscriptions', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let receiver;
+  let receiverUrl;
+  let html;
+  const received = [];
+  let failuresLeft = 1;
+  let onDelivery = () => {};
+  const originalHistoryDir = historyService.directory;
+  const originalFile = webhookService.file;
+  const originalRetryBaseMs = webhookService.retryBaseMs;
+
+  const admin = (url, options = {}) => fetch(`${baseUrl}/api/scraper${url}`, {
+    ...options,
+    headers: { 'X-API-Key': ADMIN_KEY, 'Content-Type': 'application/json', ...options.headers }
+  });
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netflix-webhooks-'));
+    historyService.directory = path.join(tempDir, 'history');
+    webhookService.file = path.join(tempDir, 'webhooks.json');
+    webhookService.subscriptions = null;
+    webhookService.retryBaseMs = 1;
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    html = readFixture('ph-table-layout').html;
+    mock.method(scraperService, 'fetchPage', async () => html);
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          res.writeHead(500);
+          return res.end();
+        }
+        res.writeHead(204);
+        res.end();
+        onDelivery();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    server = require('../src/app').listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    delete process.env.ADMIN_API_KEY;
+    historyService.directory = originalHistoryDir;
+    webhookService.file = originalFile;
+    webhookService.subscriptions = null;
+    webhookService.retryBaseMs = originalRetryBaseMs;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    await new Promise(done => server.close(done));
+    await new Promise(done => receiver.close(done));
+  });
+
+  it('validates subscriptions and requires the admin key', async () => {
+    assert.equal((await fetch(`${baseUrl}/api/scraper/webhooks`)).status, 401);
+    assert.equal((await admin('/webhooks', { method: 'POST', body: JSON.stringify({ url: 'ftp://example.com' }) })).status, 400);
+    assert.equal((await admin('/webhooks', { method: 'POST', body: JSON.stringify({ url: receiverUrl, events: ['sequel'] }) })).status, 400);
+    assert.equal((await admin('/webhooks', { method: 'POST', body: JSON.stringify({ url: receiverUrl, countries: ['XX'] }) })).status, 400);
+  });
+
+  it('delivers signed events for matching changes, retrying failed deliveries', async () => {
+    const created = await admin('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({ url: receiverUrl, secret: SECRET, countries: ['ph'], types: ['tv'], events: ['new_entry', 'top_change', 'dropped_out'] })
+    });
+    const { webhook } = await created.json();
+    assert.equal(created.status, 201);
+    assert.equal(webhook.secret, SECRET);
+    assert.deepEqual(webhook.countries, ['PH']);
+
+    const { webhooks } = await (await admin('/webhooks')).json();
+    assert.equal(webhooks.length, 1);
+    assert.equal(webhooks[0].secret, undefined);
+
+    // The first scrape has nothing to compare against
+    await fetch(`${baseUrl}/api/scraper/netflix/PH/tv?tmdb=false`);
+    assert.equal(received.length, 0);
+
+    const delivered = new Promise(resolve => { onDelivery = resolve; });
+    html = changedRanking(html);
+    await cacheService.delete('netflix:tv:tv:PH:raw');
+    await fetch(`${baseUrl}/api/scraper/netflix/PH/tv?tmdb=false`);
+    await delivered;
+
+    assert.equal(received.length, 2);
+    const { headers, body } = received[1];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.subscriptionId, webhook.id);
+    assert.equal(payload.countryCode, 'PH');
+    assert.equal(payload.type, 'tv');
+    assert.deepEqual(payload.events.map(event => [event.kind, event.title]), [
+      ['new_entry', 'The Night Agent'],
+      ['top_change', 'The Trauma Code: Heroes on Call'],
+      ['dropped_out', 'Ang Probinsyano']
+    ]);
+
+    // The delivery outcome is recorded once the last attempt finishes
+    let stored;
+    for (let i = 0; i < 50 && !(stored && stored.lastDelivery); i++) {
+      stored = (await (await admin(`/webhooks/${webhook.id}`)).json()).webhook;
+      if (!stored.lastDelivery) await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(stored.lastDelivery.ok, true);
+    assert.equal(stored.lastDelivery.attempts, 2);
+  });
+
+  it("doesn't deliver again for scrapes that weren't saved", async () => {
+    const notify = mock.method(webhookService, 'notifyScrape');
+    const deliveries = received.length;
+
+    // Today's snapshot has TMDB IDs, so the un-enriched scrapes below don't replace it
+    const today = historyService.toDateKey();
+    const snapshot = await historyService.getSnapshot('PH', 'tv', today);
+    await historyService.saveSnapshot({ ...snapshot, enrichedWithTMDB: true });
+
+    html = readFixture('ph-table-layout').html;
+    for (let i = 0; i < 2; i++) {
+      await cacheService.delete('netflix:tv:tv:PH:raw');
+      await fetch(`${baseUrl}/api/scraper/netflix/PH/tv?tmdb=false`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(notify.mock.callCount(), 0);
+    assert.equal(received.length, deliveries);
+    assert.equal((await historyService.getSnapshot('PH', 'tv', today)).items[0].title, snapshot.items[0].title);
+    notify.mock.restore();
+  });
+
+  it('keeps saving subscriptions after a write fails', async () => {
+    const storeFile = webhookService.file;
+    // A regular file where the store's directory should be
+    const blocker = path.join(tempDir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+
+    let created;
+    try {
+      webhookService.file = path.join(blocker, 'webhooks.json');
+      const creating = webhookService.create({ url: receiverUrl, platform: 'netflix', source: 'flixpatrol', countries: [], types: ['tv'], events: ['new_entry'] });
+      await assert.rejects(creating);
+      created = [...webhookService.subscriptions.values()].at(-1);
+    } finally {
+      webhookService.file = storeFile;
+    }
+
+    assert.equal(await webhookService.delete(created.id), true);
+    const stored = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    assert.equal(stored.length, 1);
+    assert.ok(!stored.some(subscription => subscription.id === created.id));
+  });
+
+  it('deletes subscriptions', async () => {
+    const { webhooks } = await (await admin('/webhooks')).json();
+
+    assert.equal((await admin(`/webhooks/${webhooks[0].id}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await admin(`/webhooks/${webhooks[0].id}`, { method: 'DELETE' })).status, 404);
+    assert.deepEqual(JSON.parse(fs.readFileSync(webhookService.file, 'utf8')), []);
+  });
+});